@@ -6,6 +6,7 @@ import bip39 from "bip39";
 import * as ecc from "tiny-secp256k1";
 import { BIP32Factory } from "bip32";
 import { ECPairFactory } from "ecpair";
+import crypto from "crypto";
 
 dotenv.config();
 
@@ -21,45 +22,175 @@ const ECPair = ECPairFactory(ecc);
 const router = express.Router();
 
 /* ===============================
-   TATUM CONFIG (BTC MAINNET)
+   NETWORK CONFIG
 ================================ */
 
-const NETWORK_NAME = "mainnet";
-const NETWORK = bitcoin.networks.bitcoin;
-
-const TATUM_API = "https://api.tatum.io/v3";
-const TATUM_HEADERS = {
-  "x-api-key": process.env.TATUM_API_KEY,
-  "Content-Type": "application/json"
+const NETWORKS = {
+  mainnet: { network: bitcoin.networks.bitcoin, coinType: 0 },
+  testnet: { network: bitcoin.networks.testnet, coinType: 1 },
+  // Signet shares testnet's address prefixes and WIF version
+  signet: { network: bitcoin.networks.testnet, coinType: 1 },
+  regtest: { network: bitcoin.networks.regtest, coinType: 1 }
 };
 
+const NETWORK_NAME = (process.env.BTC_NETWORK || "mainnet").toLowerCase();
+
+if (!NETWORKS[NETWORK_NAME]) {
+  throw new Error(
+    `Unsupported BTC_NETWORK: ${NETWORK_NAME} (use ${Object.keys(NETWORKS).join(", ")})`
+  );
+}
+
+const NETWORK = NETWORKS[NETWORK_NAME].network;
+
 // BIP84 Native SegWit
+const DEFAULT_ADDRESS_TYPE = "p2wpkh";
 const DEFAULT_PURPOSE = 84;
-const DEFAULT_COIN = 0;
+const DEFAULT_COIN = NETWORKS[NETWORK_NAME].coinType;
+
+// SLIP-132 extended key versions per purpose (xpub/ypub/zpub, tpub/upub/vpub)
+const EXTENDED_KEY_VERSIONS = {
+  mainnet: {
+    44: { prefix: "xpub", public: 0x0488b21e, private: 0x0488ade4 },
+    49: { prefix: "ypub", public: 0x049d7cb2, private: 0x049d7878 },
+    84: { prefix: "zpub", public: 0x04b24746, private: 0x04b2430c },
+    // BIP86 has no SLIP-132 version, Taproot keys are plain xpubs
+    86: { prefix: "xpub", public: 0x0488b21e, private: 0x0488ade4 }
+  },
+  testnet: {
+    44: { prefix: "tpub", public: 0x043587cf, private: 0x04358394 },
+    49: { prefix: "upub", public: 0x044a5262, private: 0x044a4e28 },
+    84: { prefix: "vpub", public: 0x045f1cf6, private: 0x045f18bc },
+    86: { prefix: "tpub", public: 0x043587cf, private: 0x04358394 }
+  }
+};
+
+// SLIP-132 versions for BIP48 multisig account keys (Ypub/Zpub, Upub/Vpub)
+const MULTISIG_KEY_VERSIONS = {
+  mainnet: {
+    "p2sh-p2wsh": { prefix: "Ypub", public: 0x0295b43f, private: 0x0295b005 },
+    p2wsh: { prefix: "Zpub", public: 0x02aa7ed3, private: 0x02aa7a99 }
+  },
+  testnet: {
+    "p2sh-p2wsh": { prefix: "Upub", public: 0x024289ef, private: 0x024285b5 },
+    p2wsh: { prefix: "Vpub", public: 0x02575483, private: 0x02575048 }
+  }
+};
+
+// BIP44 gap limit: stop scanning after this many unused addresses in a row
+const DEFAULT_GAP_LIMIT = Number(process.env.BTC_GAP_LIMIT || 20);
+const MAX_GAP_LIMIT = 100;
 
 /* ===============================
    UTILS
 ================================ */
 
 const satsToBtc = (sats) => Number(sats) / 1e8;
-const btcToSats = (btc) => Math.floor(Number(btc) * 1e8);
+const btcToSats = (btc) => Math.round(Number(btc) * 1e8);
 
-const VBYTE_PER_INPUT = 68;
-const VBYTE_PER_OUTPUT = 31;
+// Version, locktime and in/out counts; segwit adds a 0.5 vB marker + flag
 const TX_OVERHEAD_VBYTES = 10;
+const SEGWIT_OVERHEAD_VBYTES = 0.5;
+
+// An output is 8 bytes of value plus the script and its length byte
+const OUTPUT_BASE_VBYTES = 9;
+
+// Fee rate we expect to pay on average, used to weigh spending now vs later
+const LONG_TERM_FEE_RATE = Number(process.env.BTC_LONG_TERM_FEE_RATE || 10);
+
+// Branch-and-bound gives up after this many search steps
+const BNB_MAX_TRIES = 100000;
+
+// Outputs below this are uneconomical to spend, fold them into the fee
+const DUST_THRESHOLD = 546;
+
+// BIP125: any input sequence below 0xfffffffe signals replaceability
+const RBF_SEQUENCE = 0xfffffffd;
+const FINAL_SEQUENCE = 0xffffffff;
+
+// Default incremental relay fee, a replacement must add at least this per vB
+const MIN_RELAY_FEE_RATE = 1;
+
+// Requested rates above this are almost always sat/kvB or BTC/kvB mixups
+const MAX_FEE_RATE = Number(process.env.BTC_MAX_FEE_RATE || 1000);
 
 /* ===============================
    HELPERS
 ================================ */
 
-function buildAddressFromNode(node) {
-  return bitcoin.payments.p2wpkh({
-    pubkey: node.publicKey,
-    network: NETWORK
-  }).address;
+// 33-byte compressed pubkey -> 32-byte x-only key used by Taproot
+const toXOnly = (pubkey) => pubkey.subarray(1, 33);
+
+// Single-key script types, keyed by the name used in requests.
+// inputVbytes is the typical signed input size used for fee estimates.
+const ADDRESS_TYPES = {
+  p2pkh: {
+    purpose: 44,
+    inputVbytes: 148,
+    payment: (pubkey) => bitcoin.payments.p2pkh({ pubkey, network: NETWORK })
+  },
+  "p2sh-p2wpkh": {
+    purpose: 49,
+    inputVbytes: 91,
+    payment: (pubkey) => bitcoin.payments.p2sh({
+      redeem: bitcoin.payments.p2wpkh({ pubkey, network: NETWORK }),
+      network: NETWORK
+    })
+  },
+  p2wpkh: {
+    purpose: 84,
+    inputVbytes: 68,
+    payment: (pubkey) => bitcoin.payments.p2wpkh({ pubkey, network: NETWORK })
+  },
+  p2tr: {
+    purpose: 86,
+    inputVbytes: 58,
+    payment: (pubkey) => bitcoin.payments.p2tr({
+      internalPubkey: toXOnly(pubkey),
+      network: NETWORK
+    })
+  }
+};
+
+function parseAddressType(addressType = DEFAULT_ADDRESS_TYPE) {
+  if (!ADDRESS_TYPES[addressType]) {
+    throw new Error(
+      `addressType must be one of ${Object.keys(ADDRESS_TYPES).join(", ")}`
+    );
+  }
+
+  return addressType;
+}
+
+// Script type of an address on NETWORK, null when it is not single-key.
+// P2SH is assumed to wrap P2WPKH, the only P2SH type we derive.
+function detectAddressType(address) {
+  try {
+    const { version, data } = bitcoin.address.fromBech32(address);
+    if (version === 0 && data.length === 20) return "p2wpkh";
+    if (version === 1 && data.length === 32) return "p2tr";
+    return null;
+  } catch {}
+
+  try {
+    const { version } = bitcoin.address.fromBase58Check(address);
+    if (version === NETWORK.pubKeyHash) return "p2pkh";
+    if (version === NETWORK.scriptHash) return "p2sh-p2wpkh";
+  } catch {}
+
+  return null;
 }
 
-function deriveFromMnemonic(mnemonic, account = 0, addressIndex = 0) {
+function buildAddressFromNode(node, addressType = DEFAULT_ADDRESS_TYPE) {
+  return ADDRESS_TYPES[addressType].payment(node.publicKey).address;
+}
+
+function deriveFromMnemonic(
+  mnemonic,
+  account = 0,
+  addressIndex = 0,
+  addressType = DEFAULT_ADDRESS_TYPE
+) {
   if (!bip39.validateMnemonic(mnemonic)) {
     throw new Error("Invalid mnemonic");
   }
@@ -67,232 +198,2881 @@ function deriveFromMnemonic(mnemonic, account = 0, addressIndex = 0) {
   const seed = bip39.mnemonicToSeedSync(mnemonic);
   const root = bip32.fromSeed(seed, NETWORK);
 
-  const path = `m/${DEFAULT_PURPOSE}'/${DEFAULT_COIN}'/${account}'/0/${addressIndex}`;
+  const { purpose } = ADDRESS_TYPES[addressType];
+  const path = `m/${purpose}'/${DEFAULT_COIN}'/${account}'/0/${addressIndex}`;
   const child = root.derivePath(path);
 
   return { child, path };
 }
 
+function extendedKeyVersions(purpose = DEFAULT_PURPOSE) {
+  const table =
+    EXTENDED_KEY_VERSIONS[NETWORK_NAME === "mainnet" ? "mainnet" : "testnet"];
+  return table[purpose];
+}
+
+// Account-level node plus its xpub and SLIP-132 (ypub/zpub, upub/vpub) exports
+function deriveAccountFromMnemonic(
+  mnemonic,
+  account = 0,
+  addressType = DEFAULT_ADDRESS_TYPE
+) {
+  if (!bip39.validateMnemonic(mnemonic)) {
+    throw new Error("Invalid mnemonic");
+  }
+
+  const seed = bip39.mnemonicToSeedSync(mnemonic);
+  const { purpose } = ADDRESS_TYPES[addressType];
+  const path = `m/${purpose}'/${DEFAULT_COIN}'/${account}'`;
+
+  const node = bip32.fromSeed(seed, NETWORK).derivePath(path);
+
+  // Same key, serialized with the purpose-specific version bytes
+  const versions = extendedKeyVersions(purpose);
+  const slip132Node = bip32
+    .fromSeed(seed, { ...NETWORK, bip32: versions })
+    .derivePath(path);
+
+  return {
+    node,
+    path,
+    xpub: node.neutered().toBase58(),
+    slip132: {
+      prefix: versions.prefix,
+      key: slip132Node.neutered().toBase58()
+    }
+  };
+}
+
 /* ===============================
-   TATUM API HELPERS
+   BACKENDS
+   Each backend exposes:
+   - getUtxos(address)   -> [{ txid, vout, value, confirmed }] (sats;
+                            confirmed undefined if the API doesn't say)
+   - getFeeRate()        -> sat/vB
+   - getBalance(address) -> { balance, incoming, outgoing, used }
+                            (sats, null if unknown; used = has any history)
+   - getBalances(addresses) -> optional, getBalance for a batch in one call
+   - broadcast(hex)      -> txid
+   - getTxHex(txid)      -> raw transaction hex
+   - getTxStatus(txid)   -> { confirmed, blockHeight }
+   - getTipHeight()      -> current block height
+   - getTransactions(address, { limit, offset })
+                         -> newest first, each as
+                            { txid, blockHeight, time, fee,
+                              inputs: [{ txid, vout, address, value }],
+                              outputs: [{ address, value }] }
 ================================ */
 
+function createTatumBackend() {
+  if (!["mainnet", "testnet"].includes(NETWORK_NAME)) {
+    throw new Error(`Tatum backend does not support ${NETWORK_NAME}`);
+  }
+
+  const api = process.env.TATUM_API_URL || "https://api.tatum.io/v3";
+  const headers = {
+    "x-api-key": process.env.TATUM_API_KEY,
+    "Content-Type": "application/json"
+  };
+
+  if (NETWORK_NAME === "testnet") {
+    headers["x-testnet-type"] = "bitcoin-testnet";
+  }
+
+  return {
+    name: "tatum",
+
+    async getUtxos(address) {
+      const r = await axios.get(`${api}/bitcoin/utxo/${address}`, { headers });
+
+      return r.data.map(u => ({
+        txid: u.hash,
+        vout: u.index,
+        value: Number(u.value)
+      }));
+    },
+
+    async getFeeRate() {
+      const r = await axios.get(`${api}/bitcoin/fees`, { headers });
+      return Math.max(Number(r.data.fast), 1);
+    },
+
+    async getBalance(address) {
+      const r = await axios.get(
+        `${api}/bitcoin/address/balance/${address}`,
+        { headers }
+      );
+
+      // 🔥 IMPORTANT: values are in BTC
+      const incoming = Math.round(Number(r.data.incoming || 0) * 1e8);
+      const outgoing = Math.round(Number(r.data.outgoing || 0) * 1e8);
+
+      return {
+        balance: incoming - outgoing,
+        incoming,
+        outgoing,
+        used: incoming > 0 || outgoing > 0
+      };
+    },
+
+    async broadcast(hex) {
+      const r = await axios.post(
+        `${api}/bitcoin/broadcast`,
+        { txData: hex },
+        { headers }
+      );
+
+      return r.data.txId;
+    },
+
+    async getTxHex(txid) {
+      const r = await axios.get(`${api}/bitcoin/transaction/${txid}`, { headers });
+      return r.data.hex;
+    },
+
+    async getTxStatus(txid) {
+      const r = await axios.get(`${api}/bitcoin/transaction/${txid}`, { headers });
+      const blockHeight = r.data.blockNumber ?? null;
+      return { confirmed: blockHeight !== null, blockHeight };
+    },
+
+    async getTipHeight() {
+      const r = await axios.get(`${api}/bitcoin/info`, { headers });
+      return Number(r.data.blocks);
+    },
+
+    async getTransactions(address, { limit = 25, offset = 0 } = {}) {
+      const r = await axios.get(
+        `${api}/bitcoin/transaction/address/${address}`,
+        { headers, params: { pageSize: limit, offset } }
+      );
+
+      return r.data.map(t => ({
+        txid: t.hash,
+        blockHeight: t.blockNumber ?? null,
+        time: t.time ?? null,
+        fee: Number(t.fee || 0),
+        inputs: t.inputs.map(i => ({
+          txid: i.prevout?.hash,
+          vout: i.prevout?.index,
+          address: i.coin?.address ?? null,
+          value: Number(i.coin?.value || 0)
+        })),
+        outputs: t.outputs.map(o => ({
+          address: o.address ?? null,
+          value: Number(o.value)
+        }))
+      }));
+    }
+  };
+}
+
+const ESPLORA_DEFAULT_URLS = {
+  mainnet: "https://blockstream.info/api",
+  testnet: "https://blockstream.info/testnet/api",
+  signet: "https://mempool.space/signet/api"
+};
+
+function createEsploraBackend() {
+  const api = process.env.ESPLORA_URL || ESPLORA_DEFAULT_URLS[NETWORK_NAME];
+
+  if (!api) {
+    throw new Error(`ESPLORA_URL required for ${NETWORK_NAME}`);
+  }
+
+  return {
+    name: "esplora",
+
+    async getUtxos(address) {
+      const r = await axios.get(`${api}/address/${address}/utxo`);
+
+      return r.data.map(u => ({
+        txid: u.txid,
+        vout: u.vout,
+        value: Number(u.value),
+        confirmed: Boolean(u.status?.confirmed)
+      }));
+    },
+
+    async getFeeRate() {
+      const r = await axios.get(`${api}/fee-estimates`);
+
+      // Target 2 blocks; regtest electrs returns an empty object
+      const rate = r.data["2"] ?? r.data["1"] ?? 1;
+      return Math.max(Math.ceil(Number(rate)), 1);
+    },
+
+    async getBalance(address) {
+      const r = await axios.get(`${api}/address/${address}`);
+      const { chain_stats: chain, mempool_stats: mempool } = r.data;
+
+      const incoming = chain.funded_txo_sum + mempool.funded_txo_sum;
+      const outgoing = chain.spent_txo_sum + mempool.spent_txo_sum;
+
+      return {
+        balance: incoming - outgoing,
+        incoming,
+        outgoing,
+        used: chain.tx_count + mempool.tx_count > 0
+      };
+    },
+
+    async broadcast(hex) {
+      const r = await axios.post(`${api}/tx`, hex, {
+        headers: { "Content-Type": "text/plain" }
+      });
+
+      return r.data;
+    },
+
+    async getTxHex(txid) {
+      const r = await axios.get(`${api}/tx/${txid}/hex`);
+      return r.data;
+    },
+
+    async getTxStatus(txid) {
+      const r = await axios.get(`${api}/tx/${txid}/status`);
+      return {
+        confirmed: r.data.confirmed,
+        blockHeight: r.data.block_height ?? null
+      };
+    },
+
+    async getTipHeight() {
+      const r = await axios.get(`${api}/blocks/tip/height`);
+      return Number(r.data);
+    },
+
+    async getTransactions(address, { limit = 25, offset = 0 } = {}) {
+      // First page holds mempool txs plus 25 confirmed; older pages are
+      // keyed by the last confirmed txid seen
+      const CHAIN_PAGE = 25;
+      const first = await axios.get(`${api}/address/${address}/txs`);
+      const txs = [...first.data];
+      let lastPage = first.data.filter(t => t.status.confirmed);
+
+      while (txs.length < offset + limit && lastPage.length === CHAIN_PAGE) {
+        const lastSeen = lastPage[lastPage.length - 1].txid;
+        const r = await axios.get(`${api}/address/${address}/txs/chain/${lastSeen}`);
+        txs.push(...r.data);
+        lastPage = r.data;
+      }
+
+      return txs.slice(offset, offset + limit).map(t => ({
+        txid: t.txid,
+        blockHeight: t.status.confirmed ? t.status.block_height : null,
+        time: t.status.block_time ?? null,
+        fee: Number(t.fee || 0),
+        inputs: t.vin.map(i => ({
+          txid: i.txid,
+          vout: i.vout,
+          address: i.prevout?.scriptpubkey_address ?? null,
+          value: Number(i.prevout?.value || 0)
+        })),
+        outputs: t.vout.map(o => ({
+          address: o.scriptpubkey_address ?? null,
+          value: Number(o.value)
+        }))
+      }));
+    }
+  };
+}
+
+const BITCOIND_DEFAULT_PORTS = {
+  mainnet: 8332,
+  testnet: 18332,
+  signet: 38332,
+  regtest: 18443
+};
+
+function createBitcoindBackend() {
+  const url =
+    process.env.BITCOIND_RPC_URL ||
+    `http://127.0.0.1:${BITCOIND_DEFAULT_PORTS[NETWORK_NAME]}`;
+
+  const auth = {
+    username: process.env.BITCOIND_RPC_USER || "",
+    password: process.env.BITCOIND_RPC_PASSWORD || ""
+  };
+
+  async function rpc(method, params = []) {
+    const r = await axios.post(
+      url,
+      { jsonrpc: "1.0", id: method, method, params },
+      { auth, validateStatus: () => true }
+    );
+
+    if (r.data?.error) {
+      throw new Error(`bitcoind ${method}: ${r.data.error.message}`);
+    }
+    if (r.status !== 200) {
+      throw new Error(`bitcoind ${method}: HTTP ${r.status}`);
+    }
+
+    return r.data.result;
+  }
+
+  // Confirmed UTXO set lookup, no wallet needed on the node. bitcoind
+  // runs one scan at a time and rejects the rest, so scans are queued.
+  let scanQueue = Promise.resolve();
+  function scan(addresses) {
+    const run = scanQueue.then(() =>
+      rpc("scantxoutset", ["start", addresses.map(a => `addr(${a})`)])
+    );
+    scanQueue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    name: "bitcoind",
+    rpc,
+
+    async getUtxos(address) {
+      const r = await scan([address]);
+
+      return r.unspents.map(u => ({
+        txid: u.txid,
+        vout: u.vout,
+        value: btcToSats(u.amount),
+        confirmed: true
+      }));
+    },
+
+    async getFeeRate() {
+      const r = await rpc("estimatesmartfee", [2]);
+
+      // feerate is BTC/kvB; missing when the node has no estimate yet (regtest)
+      if (!r.feerate) return 1;
+      return Math.max(Math.ceil((r.feerate * 1e8) / 1000), 1);
+    },
+
+    async getBalance(address) {
+      const [info] = await this.getBalances([address]);
+      return info;
+    },
+
+    // One scan for the whole batch, unspents mapped back by script
+    async getBalances(addresses) {
+      const r = await scan(addresses);
+
+      const byScript = new Map();
+      for (const u of r.unspents) {
+        byScript.set(u.scriptPubKey, (byScript.get(u.scriptPubKey) || 0) + btcToSats(u.amount));
+      }
+
+      // The UTXO set has no history, so fully spent addresses look unused
+      return addresses.map(address => {
+        const script = Buffer.from(bitcoin.address.toOutputScript(address, NETWORK)).toString("hex");
+        const balance = byScript.get(script);
+
+        return {
+          balance: balance ?? 0,
+          incoming: null,
+          outgoing: null,
+          used: balance !== undefined
+        };
+      });
+    },
+
+    async broadcast(hex) {
+      return rpc("sendrawtransaction", [hex]);
+    },
+
+    // Confirmed txs need -txindex on the node
+    async getTxHex(txid) {
+      return rpc("getrawtransaction", [txid]);
+    },
+
+    async getTxStatus(txid) {
+      const tx = await rpc("getrawtransaction", [txid, true]);
+      if (!tx.blockhash) return { confirmed: false, blockHeight: null };
+
+      const header = await rpc("getblockheader", [tx.blockhash]);
+      return { confirmed: true, blockHeight: header.height };
+    },
+
+    async getTipHeight() {
+      return rpc("getblockcount");
+    },
+
+    async getTransactions() {
+      throw new Error(
+        "Address history is not available from bitcoind, use the esplora or tatum backend"
+      );
+    }
+  };
+}
+
+const BACKENDS = {
+  tatum: createTatumBackend,
+  esplora: createEsploraBackend,
+  bitcoind: createBitcoindBackend
+};
+
+const BACKEND_NAME = (process.env.BTC_BACKEND || "tatum").toLowerCase();
+
+if (!BACKENDS[BACKEND_NAME]) {
+  throw new Error(
+    `Unsupported BTC_BACKEND: ${BACKEND_NAME} (use ${Object.keys(BACKENDS).join(", ")})`
+  );
+}
+
+const backend = BACKENDS[BACKEND_NAME]();
+
 // Fetch UTXOs
 async function fetchUtxos(address) {
-  const r = await axios.get(
-    `${TATUM_API}/bitcoin/utxo/${address}`,
-    { headers: TATUM_HEADERS }
-  );
+  return backend.getUtxos(address);
+}
 
-  // Convert to bitcoinjs format
-  return r.data.map(u => ({
-    txid: u.hash,
-    vout: u.index,
-    value: Number(u.value)
-  }));
+// getBalance for many addresses, batched where the backend supports it
+async function fetchBalances(addresses) {
+  if (backend.getBalances) return backend.getBalances(addresses);
+  return Promise.all(addresses.map(a => backend.getBalance(a)));
 }
 
 // Fetch fee rate (sat/vB)
 async function fetchFeeRate() {
-  const r = await axios.get(
-    `${TATUM_API}/bitcoin/fees`,
-    { headers: TATUM_HEADERS }
+  return backend.getFeeRate();
+}
+
+// Caller-supplied fee rate (sat/vB), null when omitted
+function parseFeeRate(requested) {
+  if (requested === undefined || requested === null || requested === "") {
+    return null;
+  }
+
+  const feeRate = Number(requested);
+  if (!(feeRate >= MIN_RELAY_FEE_RATE && feeRate <= MAX_FEE_RATE)) {
+    throw new Error(
+      `feeRate must be between ${MIN_RELAY_FEE_RATE} and ${MAX_FEE_RATE} sat/vB`
+    );
+  }
+
+  return feeRate;
+}
+
+// Broadcast transaction
+async function broadcastTx(hex) {
+  return backend.broadcast(hex);
+}
+
+// An input type is a name in ADDRESS_TYPES, or { inputVbytes } for script
+// types sized per wallet (multisig)
+const inputVbytesOf = (type) =>
+  typeof type === "string" ? ADDRESS_TYPES[type].inputVbytes : type.inputVbytes;
+
+// `inputTypes` are the types of the inputs, `outputScripts` the output
+// scripts (change included)
+function estimateTxVsize(inputTypes, outputScripts) {
+  const inputVbytes = inputTypes.reduce((sum, t) => sum + inputVbytesOf(t), 0);
+  const outputVbytes = outputScripts.reduce(
+    (sum, script) => sum + OUTPUT_BASE_VBYTES + script.length,
+    0
+  );
+  const overhead = inputTypes.some(t => t !== "p2pkh")
+    ? TX_OVERHEAD_VBYTES + SEGWIT_OVERHEAD_VBYTES
+    : TX_OVERHEAD_VBYTES;
+
+  return Math.ceil(overhead + inputVbytes + outputVbytes);
+}
+
+function isValidAddress(address) {
+  try {
+    bitcoin.address.toOutputScript(address, NETWORK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// PSBT input fields for a single-key UTXO of `addressType`
+async function psbtInputFields(utxo, addressType, pubkey) {
+  const payment = ADDRESS_TYPES[addressType].payment(pubkey);
+  const fields = { hash: utxo.txid, index: utxo.vout };
+
+  if (addressType === "p2pkh") {
+    // Legacy inputs commit to the whole previous transaction
+    fields.nonWitnessUtxo = Buffer.from(await backend.getTxHex(utxo.txid), "hex");
+  } else {
+    fields.witnessUtxo = { script: payment.output, value: BigInt(utxo.value) };
+  }
+
+  if (addressType === "p2sh-p2wpkh") {
+    fields.redeemScript = payment.redeem.output;
+  }
+
+  if (addressType === "p2tr") {
+    fields.tapInternalKey = toXOnly(pubkey);
+  }
+
+  return fields;
+}
+
+/* ===============================
+   COIN SELECTION
+   UTXOs carry { txid, vout, value, addressType }.
+================================ */
+
+const outpointOf = (u) => `${u.txid}:${u.vout}`;
+
+// Coin control metadata keyed by outpoint: { frozen, label }. In memory.
+const utxoMeta = new Map();
+
+const isFrozen = (u) => Boolean(utxoMeta.get(outpointOf(u))?.frozen);
+
+async function fetchSpendableUtxos(address) {
+  return (await fetchUtxos(address)).filter(u => !isFrozen(u));
+}
+
+function parseOutpoint(outpoint) {
+  if (typeof outpoint !== "string" || !/^[0-9a-fA-F]{64}:\d+$/.test(outpoint)) {
+    throw new Error(`Invalid outpoint (expected txid:vout): ${outpoint}`);
+  }
+  return outpoint.toLowerCase();
+}
+
+const inputFee = (u, feeRate) =>
+  Math.ceil(inputVbytesOf(u.addressType) * feeRate);
+
+// What a UTXO is worth once the cost of spending it is paid
+const effectiveValue = (u, feeRate) => u.value - inputFee(u, feeRate);
+
+// Turn a chosen input set into amounts, with change unless it would be dust
+function finalizeSelection(chosen, ctx, { allowChange = true } = {}) {
+  const { amountSats, feeRate, recipientScripts, changeScript } = ctx;
+  const types = chosen.map(u => u.addressType);
+  const sum = chosen.reduce((acc, u) => acc + u.value, 0);
+
+  const feeNoChange = Math.ceil(estimateTxVsize(types, recipientScripts) * feeRate);
+  if (sum < amountSats + feeNoChange) return null;
+
+  const feeWithChange = Math.ceil(
+    estimateTxVsize(types, [...recipientScripts, changeScript]) * feeRate
+  );
+  const change = sum - amountSats - feeWithChange;
+
+  // Spending now at feeRate instead of later at the long-term rate
+  const inputWaste = chosen.reduce(
+    (acc, u) =>
+      acc + inputVbytesOf(u.addressType) * (feeRate - LONG_TERM_FEE_RATE),
+    0
+  );
+
+  if (allowChange && change >= DUST_THRESHOLD) {
+    return {
+      inputs: chosen,
+      fee: feeWithChange,
+      change,
+      waste: Math.round(inputWaste + ctx.costOfChange)
+    };
+  }
+
+  // Change would be dust: drop it and let it go to the miner
+  return {
+    inputs: chosen,
+    fee: sum - amountSats,
+    change: 0,
+    waste: Math.round(inputWaste + (sum - amountSats - feeNoChange))
+  };
+}
+
+// Depth-first search for an input set whose effective value lands within
+// [target, target + costOfChange], so no change output is needed
+function selectBranchAndBound(utxos, ctx) {
+  const { feeRate, costOfChange } = ctx;
+  const target =
+    ctx.amountSats + Math.ceil(estimateTxVsize([], ctx.recipientScripts) * feeRate);
+
+  const pool = utxos
+    .map(u => ({ u, ev: effectiveValue(u, feeRate) }))
+    .filter(c => c.ev > 0)
+    .sort((a, b) => b.ev - a.ev);
+
+  // remaining[i] = sum of effective values from i onwards
+  const remaining = new Array(pool.length + 1).fill(0);
+  for (let i = pool.length - 1; i >= 0; i--) {
+    remaining[i] = remaining[i + 1] + pool[i].ev;
+  }
+
+  let best = null;
+  let bestExcess = Infinity;
+  let tries = 0;
+  const picked = [];
+
+  function search(i, total) {
+    if (++tries > BNB_MAX_TRIES) return;
+    if (total > target + costOfChange) return;
+
+    if (total >= target) {
+      if (total - target < bestExcess) {
+        bestExcess = total - target;
+        best = picked.map(c => c.u);
+      }
+      return;
+    }
+
+    if (i >= pool.length || total + remaining[i] < target) return;
+
+    picked.push(pool[i]);
+    search(i + 1, total + pool[i].ev);
+    picked.pop();
+
+    // Skipping a coin equal to the one just skipped leads to the same sets
+    let next = i + 1;
+    while (next < pool.length && pool[next].ev === pool[i].ev) next++;
+    search(next, total);
+  }
+
+  search(0, 0);
+  return best;
+}
+
+// Take coins in `order` until amount + fee is covered
+function selectAccumulate(utxos, ctx, order) {
+  const sorted = [...utxos].sort(order);
+  const chosen = [];
+
+  for (const u of sorted) {
+    chosen.push(u);
+    const plan = finalizeSelection(chosen, ctx);
+    if (plan) return plan;
+  }
+
+  return null;
+}
+
+// Changeless branch-and-bound first, otherwise the lowest-waste fallback
+function selectCoins(utxos, ctx) {
+  const exact = selectBranchAndBound(utxos, ctx);
+  if (exact) {
+    const plan = finalizeSelection(exact, ctx, { allowChange: false });
+    if (plan) return { ...plan, strategy: "branch-and-bound" };
+  }
+
+  const candidates = [
+    { strategy: "largest-first", order: (a, b) => b.value - a.value },
+    { strategy: "smallest-first", order: (a, b) => a.value - b.value }
+  ]
+    .map(c => {
+      const plan = selectAccumulate(utxos, ctx, c.order);
+      return plan && { ...plan, strategy: c.strategy };
+    })
+    .filter(Boolean);
+
+  if (!candidates.length) return null;
+
+  return candidates.reduce((best, c) => (c.waste < best.waste ? c : best));
+}
+
+// Plan a spend of `amountSats` to `recipientScripts` with change back to
+// `changeScript`. `inputs` pins explicit coins instead of selecting.
+function planSpend(
+  utxos,
+  amountSats,
+  feeRate,
+  { recipientScripts, changeScript, addressType = DEFAULT_ADDRESS_TYPE, inputs = null }
+) {
+  const typed = utxos.map(u => ({ addressType, ...u }));
+
+  const changeVbytes = OUTPUT_BASE_VBYTES + changeScript.length;
+  const changeSpendVbytes = inputVbytesOf(addressType);
+
+  const ctx = {
+    amountSats,
+    feeRate,
+    recipientScripts,
+    changeScript,
+    // Creating change now plus spending it later
+    costOfChange: Math.ceil(
+      changeVbytes * feeRate + changeSpendVbytes * LONG_TERM_FEE_RATE
+    )
+  };
+
+  if (inputs) {
+    const chosen = inputs.map(outpoint => {
+      const u = typed.find(c => outpointOf(c) === outpoint);
+      if (!u) throw new Error(`UTXO not found: ${outpoint}`);
+      return u;
+    });
+
+    const plan = finalizeSelection(chosen, ctx);
+    if (!plan) throw new Error("Selected inputs do not cover amount + fee");
+    return { ...plan, strategy: "manual" };
+  }
+
+  const plan = selectCoins(typed, ctx);
+  if (!plan) throw new Error("Insufficient funds for amount + fee");
+  return plan;
+}
+
+// Taproot key-path spends sign with the key tweaked by its own x-only pubkey
+function taprootSigner(keyPair) {
+  const tweak = bitcoin.crypto.taggedHash("TapTweak", toXOnly(keyPair.publicKey));
+  return keyPair.tweak(tweak);
+}
+
+// ECDSA for 33-byte keys, Schnorr for Taproot's 32-byte x-only keys
+function validateSignature(pubkey, msghash, signature) {
+  if (pubkey.length === 32) {
+    return ecc.verifySchnorr(msghash, pubkey, signature);
+  }
+  return ECPair.fromPublicKey(pubkey).verify(msghash, signature);
+}
+
+// Build a PSBT spending `fromAddress`, sign every input with `keyPair`
+// and return the raw tx
+async function buildSignedTx({
+  keyPair,
+  addressType = DEFAULT_ADDRESS_TYPE,
+  fromAddress,
+  inputs,
+  outputs,
+  change,
+  rbf = true
+}) {
+  const psbt = new bitcoin.Psbt({ network: NETWORK });
+  const sequence = rbf ? RBF_SEQUENCE : FINAL_SEQUENCE;
+
+  for (const u of inputs) {
+    const fields = await psbtInputFields(u, addressType, keyPair.publicKey);
+    psbt.addInput({ ...fields, sequence });
+  }
+
+  // Outputs without an address (e.g. OP_RETURN) are given by script
+  for (const o of outputs) {
+    psbt.addOutput(
+      o.address
+        ? { address: o.address, value: BigInt(o.value) }
+        : { script: o.script, value: BigInt(o.value) }
+    );
+  }
+
+  if (change > 0) {
+    psbt.addOutput({ address: fromAddress, value: BigInt(change) });
+  }
+
+  psbt.signAllInputs(
+    addressType === "p2tr" ? taprootSigner(keyPair) : keyPair
   );
 
-  return Math.max(Number(r.data.fast), 1);
-}
+  if (!psbt.validateSignaturesOfAllInputs(validateSignature)) {
+    throw new Error("Signature validation failed");
+  }
+
+  psbt.finalizeAllInputs();
+
+  const tx = psbt.extractTransaction();
+  return { hex: tx.toHex(), txid: tx.getId(), vsize: tx.virtualSize() };
+}
+
+/* ===============================
+   HD ACCOUNT DISCOVERY
+================================ */
+
+const CHAIN_RECEIVE = 0;
+const CHAIN_CHANGE = 1;
+
+// Receive/change address of an account, single-key or multisig
+function accountAddress(account, chain, index) {
+  if (account.multisig) {
+    return multisigPayment(account, chain, index).address;
+  }
+
+  const node = account.node.derive(chain).derive(index);
+  return buildAddressFromNode(node, account.addressType);
+}
+
+// Walk one chain (receive/change) until `gapLimit` unused addresses in a row.
+// `account` is { node, path, addressType } with `node` at the account level,
+// or a multisig wallet.
+async function scanChain(account, chain, gapLimit) {
+  const accountPath = account.path;
+  const used = [];
+  let lastUsed = -1;
+  let next = 0;
+
+  while (next - lastUsed - 1 < gapLimit) {
+    const batch = [];
+    for (let index = next; index < next + gapLimit; index++) {
+      const address = accountAddress(account, chain, index);
+      batch.push({ address, index, path: `${accountPath}/${chain}/${index}` });
+    }
+    next += gapLimit;
+
+    const infos = await fetchBalances(batch.map(a => a.address));
+
+    batch.forEach((a, i) => {
+      if (!infos[i].used) return;
+      lastUsed = a.index;
+      used.push({ ...a, chain, balance_sats: infos[i].balance });
+    });
+  }
+
+  const nextIndex = lastUsed + 1;
+
+  return {
+    used,
+    next: {
+      address: accountAddress(account, chain, nextIndex),
+      index: nextIndex,
+      path: `${accountPath}/${chain}/${nextIndex}`
+    }
+  };
+}
+
+async function discoverAccount(account, gapLimit) {
+  const receive = await scanChain(account, CHAIN_RECEIVE, gapLimit);
+  const change = await scanChain(account, CHAIN_CHANGE, gapLimit);
+  const addresses = [...receive.used, ...change.used];
+
+  const utxos = [];
+  for (const a of addresses) {
+    if (a.balance_sats <= 0) continue;
+
+    const list = await fetchUtxos(a.address);
+    for (const u of list) {
+      utxos.push({
+        ...u,
+        address: a.address,
+        path: a.path,
+        chain: a.chain,
+        index: a.index
+      });
+    }
+  }
+
+  const balance = addresses.reduce((sum, a) => sum + a.balance_sats, 0);
+
+  return {
+    addresses,
+    utxos,
+    balance,
+    nextReceive: receive.next,
+    nextChange: change.next
+  };
+}
+
+function parseGapLimit(value) {
+  const gapLimit = Number(value ?? DEFAULT_GAP_LIMIT);
+
+  if (!Number.isInteger(gapLimit) || gapLimit < 1 || gapLimit > MAX_GAP_LIMIT) {
+    throw new Error(`gapLimit must be an integer between 1 and ${MAX_GAP_LIMIT}`);
+  }
+
+  return gapLimit;
+}
+
+// BIP32 hardened index: 0 <= n < 2^31
+function parseAccountIndex(value) {
+  const accountIndex = Number(value ?? 0);
+
+  if (!Number.isInteger(accountIndex) || accountIndex < 0 || accountIndex >= 2 ** 31) {
+    throw new Error("accountIndex must be an integer between 0 and 2147483647");
+  }
+
+  return accountIndex;
+}
+
+/* ===============================
+   TRANSACTION HISTORY
+================================ */
+
+// Net effect of `tx` on a set of own addresses
+function summarizeTx(tx, ownAddresses, tipHeight) {
+  const sent = tx.inputs
+    .filter(i => ownAddresses.has(i.address))
+    .reduce((sum, i) => sum + i.value, 0);
+  const received = tx.outputs
+    .filter(o => ownAddresses.has(o.address))
+    .reduce((sum, o) => sum + o.value, 0);
+
+  // Who we paid when sending, who paid us when receiving. OP_RETURN and
+  // other non-address outputs have a null address and are left out.
+  const others = sent > 0
+    ? tx.outputs.map(o => o.address)
+    : tx.inputs.map(i => i.address);
+  const counterparties = [...new Set(others)]
+    .filter(a => a && !ownAddresses.has(a));
+
+  return {
+    txid: tx.txid,
+    direction: sent > 0 ? "sent" : "received",
+    received_sats: received,
+    sent_sats: sent,
+    net_sats: received - sent,
+    // Only meaningful to us when we paid it
+    fee_sats: sent > 0 ? tx.fee : null,
+    counterparties,
+    blockHeight: tx.blockHeight,
+    confirmations: tx.blockHeight === null ? 0 : tipHeight - tx.blockHeight + 1,
+    time: tx.time
+  };
+}
+
+// Unconfirmed first, then by height descending
+function compareTxsNewestFirst(a, b) {
+  if (a.blockHeight === null) return b.blockHeight === null ? 0 : -1;
+  if (b.blockHeight === null) return 1;
+  return b.blockHeight - a.blockHeight;
+}
+
+function parsePagination(query) {
+  const limit = Math.min(Math.max(Number(query.limit) || 25, 1), 100);
+  const offset = Math.max(Number(query.offset) || 0, 0);
+  return { limit, offset };
+}
+
+/* ===============================
+   FEE BUMPING (RBF / CPFP)
+================================ */
+
+// Decode a wallet tx and resolve every input's previous output
+async function loadTxWithPrevouts(txid) {
+  const tx = bitcoin.Transaction.fromHex(await backend.getTxHex(txid));
+
+  const inputs = [];
+  for (const input of tx.ins) {
+    const prevTxid = Buffer.from(input.hash).reverse().toString("hex");
+    const prevTx = bitcoin.Transaction.fromHex(await backend.getTxHex(prevTxid));
+    const prevOut = prevTx.outs[input.index];
+
+    inputs.push({
+      txid: prevTxid,
+      vout: input.index,
+      value: Number(prevOut.value),
+      sequence: input.sequence,
+      address: bitcoin.address.fromOutputScript(prevOut.script, NETWORK)
+    });
+  }
+
+  const outputs = tx.outs.map((o, vout) => {
+    let address = null;
+    try {
+      address = bitcoin.address.fromOutputScript(o.script, NETWORK);
+    } catch {}
+
+    return { vout, address, script: o.script, value: Number(o.value) };
+  });
+
+  const inputSum = inputs.reduce((sum, i) => sum + i.value, 0);
+  const outputSum = outputs.reduce((sum, o) => sum + o.value, 0);
+
+  return {
+    tx,
+    inputs,
+    outputs,
+    fee: inputSum - outputSum,
+    vsize: tx.virtualSize()
+  };
+}
+
+// Our builders append change last, so by default only a trailing output
+// back to the sender is change; earlier ones are payments to self.
+// `changeVout` overrides that (null = the tx has no change)
+function findChangeOutput(original, fromAddress, changeVout) {
+  if (changeVout === undefined) {
+    const last = original.outputs[original.outputs.length - 1];
+    return last?.address === fromAddress ? last : null;
+  }
+
+  if (changeVout === null) return null;
+
+  const change = original.outputs.find(o => o.vout === changeVout);
+  if (!change || change.address !== fromAddress) {
+    throw new Error("changeVout must be an output paying the sender");
+  }
+
+  return change;
+}
+
+// Coins a replacement of `original` may add, largest first
+async function fetchReplacementInputs(original, fromAddress) {
+  // Coins created by the original tx disappear once it is replaced
+  const candidates = (await fetchSpendableUtxos(fromAddress))
+    .filter(u => u.txid !== original.tx.getId())
+    .filter(u => !original.inputs.some(i => i.txid === u.txid && i.vout === u.vout));
+
+  // BIP125 rule 2: a replacement may not add new unconfirmed inputs
+  const spare = [];
+  for (const u of candidates) {
+    const confirmed = u.confirmed ?? (await backend.getTxStatus(u.txid)).confirmed;
+    if (confirmed) spare.push(u);
+  }
+  return spare.sort((a, b) => b.value - a.value);
+}
+
+// Same recipients, less change (plus `spare` inputs if needed), higher fee
+function planReplacement(original, { fromAddress, addressType, feeRate, changeVout, spare = [] }) {
+  if (!original.inputs.some(i => i.sequence < FINAL_SEQUENCE - 1)) {
+    throw new Error("Transaction does not signal RBF, use mode=cpfp");
+  }
+
+  const changeOutput = findChangeOutput(original, fromAddress, changeVout);
+  const recipients = original.outputs.filter(o => o !== changeOutput);
+  const recipientScripts = recipients.map(o => o.script);
+  const changeScript = bitcoin.address.toOutputScript(fromAddress, NETWORK);
+  const inputs = [...original.inputs];
+  const recipientSum = recipients.reduce((sum, o) => sum + o.value, 0);
+  const extra = [...spare];
+
+  while (true) {
+    const inputSum = inputs.reduce((sum, i) => sum + i.value, 0);
+    const inputTypes = inputs.map(() => addressType);
+    const vsizeWithChange = estimateTxVsize(
+      inputTypes,
+      [...recipientScripts, changeScript]
+    );
+
+    // BIP125 rules 3 and 4: pay more in total and cover our own relay cost
+    const fee = Math.max(
+      Math.ceil(vsizeWithChange * feeRate),
+      original.fee + Math.ceil(vsizeWithChange * MIN_RELAY_FEE_RATE)
+    );
+    const change = inputSum - recipientSum - fee;
+
+    if (change >= DUST_THRESHOLD) {
+      return { inputs, recipients, fee, change };
+    }
+
+    const vsizeNoChange = estimateTxVsize(inputTypes, recipientScripts);
+    const feeNoChange = Math.max(
+      Math.ceil(vsizeNoChange * feeRate),
+      original.fee + Math.ceil(vsizeNoChange * MIN_RELAY_FEE_RATE)
+    );
+
+    if (inputSum - recipientSum >= feeNoChange) {
+      return { inputs, recipients, fee: inputSum - recipientSum, change: 0 };
+    }
+
+    if (!extra.length) {
+      throw new Error("Insufficient funds to bump fee, try mode=cpfp");
+    }
+
+    inputs.push(extra.shift());
+  }
+}
+
+// Child spending our outputs of the parent so the package reaches `feeRate`
+function planCpfp(parent, { fromAddress, addressType, feeRate }) {
+  const inputs = parent.outputs
+    .filter(o => o.address === fromAddress)
+    .map(o => ({ txid: parent.tx.getId(), vout: o.vout, value: o.value }));
+
+  if (!inputs.length) {
+    throw new Error("Transaction has no output to this wallet to spend for CPFP");
+  }
+
+  const childVsize = estimateTxVsize(
+    inputs.map(() => addressType),
+    [bitcoin.address.toOutputScript(fromAddress, NETWORK)]
+  );
+  const packageFee = Math.ceil((parent.vsize + childVsize) * feeRate);
+
+  const fee = Math.max(
+    packageFee - parent.fee,
+    Math.ceil(childVsize * MIN_RELAY_FEE_RATE)
+  );
+  const inputSum = inputs.reduce((sum, i) => sum + i.value, 0);
+  const value = inputSum - fee;
+
+  if (value < DUST_THRESHOLD) {
+    throw new Error("Unconfirmed outputs are too small to pay for CPFP");
+  }
+
+  return {
+    inputs,
+    fee,
+    value,
+    packageFeeRate: (parent.fee + fee) / (parent.vsize + childVsize)
+  };
+}
+
+/* ===============================
+   WATCH-ONLY WALLETS
+   Registered from an extended public key or output descriptor.
+   Kept in memory: registrations are lost on restart.
+================================ */
+
+const watchWallets = new Map();
+
+const PURPOSE_ADDRESS_TYPES = {
+  44: "p2pkh",
+  49: "p2sh-p2wpkh",
+  84: "p2wpkh"
+};
+
+// Decode xpub/ypub/zpub (or tpub/upub/vpub) into a node and its purpose
+function parseExtendedPublicKey(key) {
+  for (const purpose of Object.keys(PURPOSE_ADDRESS_TYPES)) {
+    const versions = extendedKeyVersions(purpose);
+    if (!key.startsWith(versions.prefix)) continue;
+
+    const node = bip32.fromBase58(key, { ...NETWORK, bip32: versions });
+    if (!node.isNeutered()) {
+      throw new Error("Private extended keys are not accepted");
+    }
+
+    return { node, purpose: Number(purpose) };
+  }
+
+  throw new Error(`Unrecognized extended public key for ${NETWORK_NAME}`);
+}
+
+const DESCRIPTOR_PATTERNS = [
+  { re: /^sh\(wpkh\((.+)\)\)$/, addressType: "p2sh-p2wpkh" },
+  { re: /^wpkh\((.+)\)$/, addressType: "p2wpkh" },
+  { re: /^pkh\((.+)\)$/, addressType: "p2pkh" },
+  { re: /^tr\((.+)\)$/, addressType: "p2tr" }
+];
+
+// pkh(...), sh(wpkh(...)), wpkh(...) or tr(...) over an account-level key, e.g.
+// wpkh([d34db33f/84h/0h/0h]xpub.../<0;1>/*)#checksum
+function parseDescriptor(descriptor) {
+  const body = descriptor.trim().replace(/#[a-z0-9]{8}$/, "");
+  const match = DESCRIPTOR_PATTERNS
+    .map(p => ({ ...p, m: body.match(p.re) }))
+    .find(p => p.m);
+
+  if (!match) {
+    throw new Error("Unsupported descriptor, expected pkh(), wpkh(), sh(wpkh()) or tr()");
+  }
+
+  return {
+    ...parseKeyExpression(match.m[1]),
+    addressType: match.addressType
+  };
+}
+
+// [fingerprint/origin/path]xpub/<0;1>/* -> node plus origin info
+function parseKeyExpression(keyExpr, parseKey = parseExtendedPublicKey) {
+  const origin = keyExpr.match(/^\[([0-9a-fA-F]{8})((?:\/\d+['h]?)*)\]/);
+  const rest = origin ? keyExpr.slice(origin[0].length) : keyExpr;
+  const [key, ...steps] = rest.split("/");
+  const suffix = steps.length ? `/${steps.join("/")}` : "";
+
+  // We scan receive and change ourselves, so only chain wildcards are allowed
+  if (!["", "/0/*", "/1/*", "/<0;1>/*"].includes(suffix)) {
+    throw new Error("Key must be account-level (optionally /<0;1>/*)");
+  }
+
+  const { node } = parseKey(key);
+
+  return {
+    node,
+    key,
+    fingerprint: origin ? origin[1].toLowerCase() : null,
+    derivationPath: origin
+      ? `m${origin[2].replace(/h/g, "'")}`
+      : null
+  };
+}
+
+function watchWalletView(w) {
+  return {
+    id: w.id,
+    label: w.label,
+    addressType: w.addressType,
+    extendedPublicKey: w.key,
+    descriptor: w.descriptor,
+    fingerprint: w.fingerprint,
+    derivationPath: w.path,
+    gapLimit: w.gapLimit,
+    createdAt: w.createdAt
+  };
+}
+
+// BIP32 origin info so hardware/offline signers can find their key
+// Returned as PSBT fields: tapBip32Derivation for Taproot, else bip32Derivation
+function bip32DerivationFor(w, chain, index) {
+  const pubkey = w.node.derive(chain).derive(index).publicKey;
+  const derivation = {
+    masterFingerprint: Buffer.from(w.fingerprint, "hex"),
+    path: `${w.path}/${chain}/${index}`
+  };
+
+  if (w.addressType === "p2tr") {
+    return {
+      tapBip32Derivation: [{ ...derivation, pubkey: toXOnly(pubkey), leafHashes: [] }]
+    };
+  }
+
+  return { bip32Derivation: [{ ...derivation, pubkey }] };
+}
+
+async function buildWatchOnlyPsbt(w, { to, amountSats, feeRate }) {
+  const account = await discoverAccount(w, w.gapLimit);
+
+  if (!account.utxos.length) {
+    throw new Error("No UTXO available");
+  }
+
+  const plan = planSpend(account.utxos.filter(u => !isFrozen(u)), amountSats, feeRate, {
+    recipientScripts: [bitcoin.address.toOutputScript(to, NETWORK)],
+    changeScript: bitcoin.address.toOutputScript(account.nextChange.address, NETWORK),
+    addressType: w.addressType
+  });
+  const psbt = new bitcoin.Psbt({ network: NETWORK });
+
+  for (const u of plan.inputs) {
+    const pubkey = w.node.derive(u.chain).derive(u.index).publicKey;
+    const fields = await psbtInputFields(u, w.addressType, pubkey);
+
+    psbt.addInput({
+      ...fields,
+      sequence: RBF_SEQUENCE,
+      ...bip32DerivationFor(w, u.chain, u.index)
+    });
+  }
+
+  psbt.addOutput({ address: to, value: BigInt(amountSats) });
+
+  const change = plan.change
+    ? { ...account.nextChange, value: plan.change }
+    : null;
+
+  if (change) {
+    psbt.addOutput({
+      address: change.address,
+      value: BigInt(change.value),
+      ...bip32DerivationFor(w, CHAIN_CHANGE, change.index)
+    });
+  }
+
+  return { psbt, plan, change };
+}
+
+/* ===============================
+   MULTISIG (P2WSH / P2SH-P2WSH)
+   m-of-n sortedmulti wallets built from cosigner xpubs, spent through
+   PSBTs that each cosigner signs. Kept in memory like watch-only wallets.
+================================ */
+
+const multisigWallets = new Map();
+
+const MULTISIG_SCRIPT_TYPES = ["p2wsh", "p2sh-p2wsh"];
+const MAX_MULTISIG_KEYS = 15;
+
+// Cosigner keys may use BIP48 SLIP-132 versions or plain xpub/tpub
+function parseCosignerKey(key) {
+  const table =
+    MULTISIG_KEY_VERSIONS[NETWORK_NAME === "mainnet" ? "mainnet" : "testnet"];
+
+  for (const versions of Object.values(table)) {
+    if (!key.startsWith(versions.prefix)) continue;
+
+    const node = bip32.fromBase58(key, { ...NETWORK, bip32: versions });
+    if (!node.isNeutered()) {
+      throw new Error("Private extended keys are not accepted");
+    }
+
+    return { node };
+  }
+
+  return parseExtendedPublicKey(key);
+}
+
+// Signing key for /sign, in the same SLIP-132 versions (Zprv/Yprv,
+// Vprv/Uprv) or plain xprv/tprv
+function parseCosignerPrivateKey(key) {
+  const table =
+    MULTISIG_KEY_VERSIONS[NETWORK_NAME === "mainnet" ? "mainnet" : "testnet"];
+
+  let node = null;
+  for (const versions of Object.values(table)) {
+    try {
+      node = bip32.fromBase58(key, { ...NETWORK, bip32: versions });
+      break;
+    } catch {}
+  }
+  node ??= bip32.fromBase58(key, NETWORK);
+
+  if (node.isNeutered()) {
+    throw new Error("xprv must be a private extended key");
+  }
+
+  return node;
+}
+
+// Signed input size: m signatures plus the n-key witness script
+function multisigInputVbytes(m, n, scriptType) {
+  const witnessScript = 3 + 34 * n;
+  const witness = 1 + 1 + m * 73 + 1 + witnessScript;
+  const scriptSig = scriptType === "p2sh-p2wsh" ? 35 : 0;
+
+  return 41 + scriptSig + witness / 4;
+}
+
+function multisigPayment(w, chain, index) {
+  // BIP67: keys sorted so every cosigner derives the same script
+  const pubkeys = w.cosigners
+    .map(c => c.node.derive(chain).derive(index).publicKey)
+    .sort(Buffer.compare);
+
+  const wsh = bitcoin.payments.p2wsh({
+    redeem: bitcoin.payments.p2ms({ m: w.m, pubkeys, network: NETWORK }),
+    network: NETWORK
+  });
+
+  if (w.scriptType === "p2wsh") return wsh;
+  return bitcoin.payments.p2sh({ redeem: wsh, network: NETWORK });
+}
+
+function multisigDerivation(w, chain, index) {
+  return w.cosigners.map(c => ({
+    masterFingerprint: Buffer.from(c.fingerprint, "hex"),
+    path: `${c.path}/${chain}/${index}`,
+    pubkey: c.node.derive(chain).derive(index).publicKey
+  }));
+}
+
+function multisigDescriptor(w) {
+  const keys = w.cosigners.map(c => {
+    const origin = `${c.fingerprint}${c.path.slice(1).replace(/'/g, "h")}`;
+    return `[${origin}]${c.key}/<0;1>/*`;
+  });
+  const inner = `wsh(sortedmulti(${w.m},${keys.join(",")}))`;
+
+  return w.scriptType === "p2wsh" ? inner : `sh(${inner})`;
+}
+
+function multisigWalletView(w) {
+  return {
+    id: w.id,
+    label: w.label,
+    m: w.m,
+    n: w.n,
+    scriptType: w.scriptType,
+    cosigners: w.cosigners.map(c => ({
+      extendedPublicKey: c.key,
+      fingerprint: c.fingerprint,
+      derivationPath: c.path
+    })),
+    descriptor: multisigDescriptor(w),
+    gapLimit: w.gapLimit,
+    createdAt: w.createdAt
+  };
+}
+
+async function buildMultisigPsbt(w, { to, amountSats, feeRate }) {
+  const account = await discoverAccount(w, w.gapLimit);
+
+  if (!account.utxos.length) {
+    throw new Error("No UTXO available");
+  }
+
+  const plan = planSpend(account.utxos.filter(u => !isFrozen(u)), amountSats, feeRate, {
+    recipientScripts: [bitcoin.address.toOutputScript(to, NETWORK)],
+    changeScript: bitcoin.address.toOutputScript(account.nextChange.address, NETWORK),
+    addressType: { inputVbytes: w.inputVbytes }
+  });
+
+  const psbt = new bitcoin.Psbt({ network: NETWORK });
+
+  for (const u of plan.inputs) {
+    const payment = multisigPayment(w, u.chain, u.index);
+    const wsh = w.scriptType === "p2wsh" ? payment : payment.redeem;
+
+    psbt.addInput({
+      hash: u.txid,
+      index: u.vout,
+      sequence: RBF_SEQUENCE,
+      witnessUtxo: { script: payment.output, value: BigInt(u.value) },
+      witnessScript: wsh.redeem.output,
+      ...(w.scriptType === "p2sh-p2wsh" ? { redeemScript: wsh.output } : {}),
+      bip32Derivation: multisigDerivation(w, u.chain, u.index)
+    });
+  }
+
+  psbt.addOutput({ address: to, value: BigInt(amountSats) });
+
+  const change = plan.change
+    ? { ...account.nextChange, value: plan.change }
+    : null;
+
+  if (change) {
+    const payment = multisigPayment(w, CHAIN_CHANGE, change.index);
+    const wsh = w.scriptType === "p2wsh" ? payment : payment.redeem;
+
+    psbt.addOutput({
+      address: change.address,
+      value: BigInt(change.value),
+      witnessScript: wsh.redeem.output,
+      ...(w.scriptType === "p2sh-p2wsh" ? { redeemScript: wsh.output } : {}),
+      bip32Derivation: multisigDerivation(w, CHAIN_CHANGE, change.index)
+    });
+  }
+
+  return { psbt, plan, change };
+}
+
+const isFinalizedInput = (input) =>
+  Boolean(input.finalScriptWitness || input.finalScriptSig);
+
+// Signatures present vs required, per input and overall
+function psbtSignatureStatus(psbt, m) {
+  const inputs = psbt.data.inputs.map((input, index) => {
+    const finalized = isFinalizedInput(input);
+    const signatures = finalized ? m : (input.partialSig?.length || 0);
+
+    return {
+      index,
+      signatures,
+      required: m,
+      missing: Math.max(m - signatures, 0),
+      finalized
+    };
+  });
+
+  const missingSignatures = Math.max(0, ...inputs.map(i => i.missing));
+
+  return { complete: missingSignatures === 0, missingSignatures, inputs };
+}
+
+function parsePsbt(base64) {
+  try {
+    return bitcoin.Psbt.fromBase64(base64, { network: NETWORK });
+  } catch (e) {
+    throw new Error(`Invalid PSBT: ${e.message}`);
+  }
+}
+
+const countPartialSigs = (psbt) =>
+  psbt.data.inputs.reduce((sum, i) => sum + (i.partialSig?.length || 0), 0);
+
+// A CHECKMULTISIG witness takes exactly m signatures: when more cosigners
+// signed, keep the first m in witness script key order
+function trimPartialSigs(psbt, m) {
+  for (const input of psbt.data.inputs) {
+    if (!input.witnessScript || !(input.partialSig?.length > m)) continue;
+
+    const { pubkeys } = bitcoin.payments.p2ms({ output: input.witnessScript });
+    const position = (sig) => pubkeys.findIndex(p => Buffer.compare(p, sig.pubkey) === 0);
+
+    input.partialSig = input.partialSig
+      .filter(sig => position(sig) >= 0)
+      .sort((a, b) => position(a) - position(b))
+      .slice(0, m);
+  }
+}
+
+/* ===============================
+   MESSAGE SIGNING (LEGACY / BIP-322)
+================================ */
+
+const MESSAGE_PREFIX = "\x18Bitcoin Signed Message:\n";
+
+// BIP137 header byte base per address type (plus recovery id 0-3)
+const LEGACY_HEADER_BASE = {
+  p2pkh: 31,
+  "p2sh-p2wpkh": 35,
+  p2wpkh: 39
+};
+
+function encodeVarInt(n) {
+  if (n < 0xfd) return Buffer.from([n]);
+  if (n <= 0xffff) {
+    const b = Buffer.alloc(3);
+    b[0] = 0xfd;
+    b.writeUInt16LE(n, 1);
+    return b;
+  }
+  const b = Buffer.alloc(5);
+  b[0] = 0xfe;
+  b.writeUInt32LE(n, 1);
+  return b;
+}
+
+function legacyMessageHash(message) {
+  const prefix = Buffer.from(MESSAGE_PREFIX, "utf8");
+  const msg = Buffer.from(message, "utf8");
+
+  return bitcoin.crypto.hash256(
+    Buffer.concat([encodeVarInt(prefix.length), prefix, encodeVarInt(msg.length), msg])
+  );
+}
+
+function signMessageLegacy(keyPair, message, addressType) {
+  const { signature, recoveryId } = ecc.signRecoverable(
+    legacyMessageHash(message),
+    keyPair.privateKey
+  );
+  const header = LEGACY_HEADER_BASE[addressType] + recoveryId;
+
+  return Buffer.concat([Buffer.from([header]), signature]).toString("base64");
+}
+
+function verifyMessageLegacy(address, message, sig) {
+  const header = sig[0];
+  if (sig.length !== 65 || header < 27 || header > 42) return false;
+
+  const recoveryId = (header - 27) & 3;
+  const compressed = header >= 31;
+
+  // r or s out of range is just a bad signature
+  let pubkey;
+  try {
+    pubkey = ecc.recover(
+      legacyMessageHash(message),
+      sig.subarray(1),
+      recoveryId,
+      compressed
+    );
+  } catch {
+    return false;
+  }
+  if (!pubkey) return false;
+
+  if (!compressed) {
+    return bitcoin.payments.p2pkh({ pubkey, network: NETWORK }).address === address;
+  }
+
+  // Some wallets sign SegWit addresses with the P2PKH header, so accept any
+  // compressed-key address type rather than only the one in the header
+  return Object.keys(LEGACY_HEADER_BASE).some(
+    t => ADDRESS_TYPES[t].payment(pubkey).address === address
+  );
+}
+
+const sha256 = (buf) => crypto.createHash("sha256").update(buf).digest();
+
+// BIP340-style tagged hash
+function bip322MessageHash(message) {
+  const tag = sha256(Buffer.from("BIP0322-signed-message", "utf8"));
+  return sha256(Buffer.concat([tag, tag, Buffer.from(message, "utf8")]));
+}
+
+// Virtual tx that "pays" the address, committing to the message
+function bip322ToSpend(address, message) {
+  const tx = new bitcoin.Transaction();
+  tx.version = 0;
+  tx.locktime = 0;
+  tx.addInput(
+    Buffer.alloc(32),
+    0xffffffff,
+    0,
+    bitcoin.script.compile([bitcoin.opcodes.OP_0, bip322MessageHash(message)])
+  );
+  tx.addOutput(bitcoin.address.toOutputScript(address, NETWORK), 0n);
+  return tx;
+}
+
+// Virtual tx spending to_spend; its witness is the signature
+function bip322ToSign(toSpend) {
+  const tx = new bitcoin.Transaction();
+  tx.version = 0;
+  tx.locktime = 0;
+  tx.addInput(toSpend.getHash(), 0, 0);
+  tx.addOutput(bitcoin.script.compile([bitcoin.opcodes.OP_RETURN]), 0n);
+  return tx;
+}
+
+function serializeWitness(witness) {
+  return Buffer.concat([
+    encodeVarInt(witness.length),
+    ...witness.flatMap(item => [encodeVarInt(item.length), Buffer.from(item)])
+  ]);
+}
+
+function parseWitness(buf) {
+  let offset = 0;
+  const readVarInt = () => {
+    const first = buf[offset++];
+    if (first < 0xfd) return first;
+    if (first === 0xfd) { offset += 2; return buf.readUInt16LE(offset - 2); }
+    offset += 4;
+    return buf.readUInt32LE(offset - 4);
+  };
+
+  const count = readVarInt();
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    const len = readVarInt();
+    items.push(buf.subarray(offset, offset + len));
+    offset += len;
+  }
+
+  if (offset !== buf.length) throw new Error("trailing bytes in witness");
+  return items;
+}
+
+// Address types with a BIP-322 "simple" signature
+const BIP322_ADDRESS_TYPES = ["p2wpkh", "p2sh-p2wpkh", "p2tr"];
+
+// BIP-322 "simple" signature: the base64 witness of to_sign. For
+// p2sh-p2wpkh the redeem script in scriptSig follows from the witness key.
+function signMessageBip322(keyPair, message, address, addressType) {
+  const toSpend = bip322ToSpend(address, message);
+  const toSign = bip322ToSign(toSpend);
+  const psbt = new bitcoin.Psbt({ network: NETWORK });
+
+  psbt.setVersion(0);
+  psbt.setLocktime(0);
+  psbt.addInput({
+    hash: toSign.ins[0].hash,
+    index: 0,
+    sequence: 0,
+    witnessUtxo: { script: toSpend.outs[0].script, value: 0n },
+    ...(addressType === "p2tr" ? { tapInternalKey: toXOnly(keyPair.publicKey) } : {}),
+    ...(addressType === "p2sh-p2wpkh"
+      ? { redeemScript: ADDRESS_TYPES[addressType].payment(keyPair.publicKey).redeem.output }
+      : {})
+  });
+  psbt.addOutput({ script: toSign.outs[0].script, value: 0n });
+
+  psbt.signInput(0, addressType === "p2tr" ? taprootSigner(keyPair) : keyPair);
+  psbt.finalizeAllInputs();
+
+  const witness = psbt.extractTransaction().ins[0].witness;
+  return serializeWitness(witness).toString("base64");
+}
+
+// Throws only for address types BIP-322 simple can't cover; a malformed
+// signature is just invalid
+function verifyMessageBip322(address, message, sig) {
+  const addressType = detectAddressType(address);
+
+  if (!BIP322_ADDRESS_TYPES.includes(addressType)) {
+    throw new Error("BIP-322 simple signatures need a P2WPKH, P2SH-P2WPKH or P2TR address");
+  }
+
+  try {
+    return checkBip322Witness(address, addressType, message, parseWitness(sig));
+  } catch {
+    return false;
+  }
+}
+
+function checkBip322Witness(address, addressType, message, witness) {
+  const toSpend = bip322ToSpend(address, message);
+  const toSign = bip322ToSign(toSpend);
+  const script = toSpend.outs[0].script;
+
+  if (addressType === "p2wpkh" || addressType === "p2sh-p2wpkh") {
+    if (witness.length !== 2) return false;
+    const [der, pubkey] = witness;
+
+    const payment = ADDRESS_TYPES[addressType].payment(pubkey);
+    if (payment.address !== address) return false;
+
+    const { signature, hashType } = bitcoin.script.signature.decode(der);
+    const p2pkhScript = bitcoin.payments.p2pkh({ pubkey, network: NETWORK }).output;
+    const hash = toSign.hashForWitnessV0(0, p2pkhScript, 0n, hashType);
+
+    return ecc.verify(hash, pubkey, signature);
+  }
+
+  if (addressType === "p2tr") {
+    if (witness.length !== 1) return false;
+    const [sigBytes] = witness;
+    if (sigBytes.length !== 64 && sigBytes.length !== 65) return false;
+
+    const hashType = sigBytes.length === 65 ? sigBytes[64] : bitcoin.Transaction.SIGHASH_DEFAULT;
+    const hash = toSign.hashForWitnessV1(0, [script], [0n], hashType);
+    const outputKey = script.subarray(2);
+
+    return ecc.verifySchnorr(hash, outputKey, sigBytes.subarray(0, 64));
+  }
+
+  return false;
+}
+
+/* ===============================
+   ROUTES
+================================ */
+
+// Health
+router.get("/health", (req, res) => {
+  res.json({
+    ok: true,
+    network: NETWORK_NAME,
+    provider: backend.name
+  });
+});
+
+// Create wallet
+router.post("/wallet/create", (req, res) => {
+  try {
+    const { words = 12 } = req.body;
+
+    if (![12, 24].includes(words)) {
+      return res.status(400).json({ error: "words must be 12 or 24" });
+    }
+
+    let addressType;
+    try {
+      addressType = parseAddressType(req.body.addressType);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const strength = words === 24 ? 256 : 128;
+    const mnemonic = bip39.generateMnemonic(strength);
+
+    const { child, path } = deriveFromMnemonic(mnemonic, 0, 0, addressType);
+
+    res.json({
+      network: NETWORK_NAME,
+      mnemonic,
+      addressType,
+      derivationPath: path,
+      address: buildAddressFromNode(child, addressType),
+      privateKeyWIF: child.toWIF()
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+
+/* ===============================
+   IMPORT WALLET FROM WIF
+================================ */
+router.post("/wallet/import", (req, res) => {
+  try {
+    const { privateKeyWIF } = req.body;
+
+    if (!privateKeyWIF) {
+      return res.status(400).json({
+        error: "privateKeyWIF required",
+      });
+    }
+
+    let addressType;
+    try {
+      addressType = parseAddressType(req.body.addressType);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    // Create key pair from WIF
+    const keyPair = ECPair.fromWIF(privateKeyWIF, NETWORK);
+
+    const { address } = ADDRESS_TYPES[addressType].payment(keyPair.publicKey);
+
+    res.json({
+      success: true,
+      network: NETWORK_NAME,
+      addressType,
+      address,
+      privateKeyWIF,
+    });
+  } catch (err) {
+    res.status(500).json({
+      error: "Invalid WIF or failed to import wallet",
+      details: err.message,
+    });
+  }
+});
+
+
+
+
+/* ===============================
+   IMPORT WALLET FROM MNEMONIC
+================================ */
+router.post("/wallet/import/mnemonic", (req, res) => {
+  try {
+    const {
+      mnemonic,
+      accountIndex = 0,
+      addressIndex = 0,
+    } = req.body;
+
+    if (!mnemonic) {
+      return res.status(400).json({
+        error: "mnemonic required",
+      });
+    }
+
+    if (!bip39.validateMnemonic(mnemonic)) {
+      return res.status(400).json({
+        error: "Invalid mnemonic",
+      });
+    }
+
+    let addressType;
+    try {
+      addressType = parseAddressType(req.body.addressType);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const { child, path } = deriveFromMnemonic(
+      mnemonic,
+      accountIndex,
+      addressIndex,
+      addressType
+    );
+
+    const address = buildAddressFromNode(child, addressType);
+
+    res.json({
+      success: true,
+      network: NETWORK_NAME,
+      addressType,
+      derivationPath: path,
+      address,
+      privateKeyWIF: child.toWIF(),
+    });
+  } catch (err) {
+    res.status(500).json({
+      error: "Failed to import mnemonic",
+      details: err.message,
+    });
+  }
+});
+
+
+
+
+
+
+/* ===============================
+   HD ACCOUNT (SCAN + XPUB EXPORT)
+================================ */
+router.post("/wallet/account", async (req, res) => {
+  try {
+    const { mnemonic } = req.body;
+
+    if (!mnemonic) {
+      return res.status(400).json({ error: "mnemonic required" });
+    }
+
+    if (!bip39.validateMnemonic(mnemonic)) {
+      return res.status(400).json({ error: "Invalid mnemonic" });
+    }
+
+    let gapLimit;
+    let addressType;
+    let accountIndex;
+    try {
+      gapLimit = parseGapLimit(req.body.gapLimit);
+      addressType = parseAddressType(req.body.addressType);
+      accountIndex = parseAccountIndex(req.body.accountIndex);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const { node, path, xpub, slip132 } =
+      deriveAccountFromMnemonic(mnemonic, accountIndex, addressType);
+
+    const account = await discoverAccount({ node, path, addressType }, gapLimit);
+
+    res.json({
+      success: true,
+      network: NETWORK_NAME,
+      addressType,
+      accountIndex,
+      derivationPath: path,
+      xpub,
+      [slip132.prefix]: slip132.key,
+      gapLimit,
+      balance_sats: account.balance,
+      balance_btc: satsToBtc(account.balance),
+      addresses: account.addresses,
+      utxos: account.utxos,
+      nextReceiveAddress: account.nextReceive,
+      nextChangeAddress: account.nextChange,
+    });
+  } catch (err) {
+    console.error("BTC ACCOUNT ERROR 👉", err.response?.data || err.message);
+    res.status(500).json({
+      error: err.response?.data || err.message,
+    });
+  }
+});
+
+
+
+/* ===============================
+   WATCH-ONLY WALLETS
+================================ */
+router.post("/watch", (req, res) => {
+  try {
+    const { xpub, descriptor, label = null } = req.body;
+
+    if (!xpub && !descriptor) {
+      return res.status(400).json({ error: "xpub or descriptor required" });
+    }
+
+    let gapLimit;
+    let parsed;
+    try {
+      gapLimit = parseGapLimit(req.body.gapLimit);
+
+      if (descriptor) {
+        parsed = parseDescriptor(descriptor);
+      } else {
+        const { node, purpose } = parseExtendedPublicKey(xpub);
+        parsed = {
+          node,
+          key: xpub,
+          addressType: req.body.addressType || PURPOSE_ADDRESS_TYPES[purpose],
+          fingerprint: req.body.fingerprint?.toLowerCase() || null,
+          derivationPath: req.body.derivationPath || null
+        };
+      }
+
+      parseAddressType(parsed.addressType);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    // Without a known origin, paths are relative to the extended key itself
+    const hasOrigin = parsed.fingerprint && parsed.derivationPath;
+
+    const wallet = {
+      id: crypto.randomUUID(),
+      label,
+      node: parsed.node,
+      key: parsed.key,
+      descriptor: descriptor || null,
+      addressType: parsed.addressType,
+      fingerprint: hasOrigin
+        ? parsed.fingerprint
+        : Buffer.from(parsed.node.fingerprint).toString("hex"),
+      path: hasOrigin ? parsed.derivationPath : "m",
+      gapLimit,
+      createdAt: new Date().toISOString()
+    };
+
+    watchWallets.set(wallet.id, wallet);
+
+    res.json({
+      success: true,
+      network: NETWORK_NAME,
+      wallet: watchWalletView(wallet),
+      firstReceiveAddress: buildAddressFromNode(
+        wallet.node.derive(CHAIN_RECEIVE).derive(0),
+        wallet.addressType
+      ),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get("/watch", (req, res) => {
+  res.json({
+    success: true,
+    network: NETWORK_NAME,
+    wallets: [...watchWallets.values()].map(watchWalletView),
+  });
+});
+
+router.get("/watch/:id", async (req, res) => {
+  try {
+    const wallet = watchWallets.get(req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ error: "watch-only wallet not found" });
+    }
+
+    const account = await discoverAccount(wallet, wallet.gapLimit);
+
+    res.json({
+      success: true,
+      network: NETWORK_NAME,
+      wallet: watchWalletView(wallet),
+      balance_sats: account.balance,
+      balance_btc: satsToBtc(account.balance),
+      addresses: account.addresses,
+      utxos: account.utxos,
+      nextReceiveAddress: account.nextReceive,
+      nextChangeAddress: account.nextChange,
+    });
+  } catch (err) {
+    console.error("BTC WATCH ERROR 👉", err.response?.data || err.message);
+    res.status(500).json({
+      error: err.response?.data || err.message,
+    });
+  }
+});
+
+router.get("/watch/:id/history", async (req, res) => {
+  try {
+    const wallet = watchWallets.get(req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ error: "watch-only wallet not found" });
+    }
+
+    const { limit, offset } = parsePagination(req.query);
+    const account = await discoverAccount(wallet, wallet.gapLimit);
+    const own = new Set(account.addresses.map(a => a.address));
+
+    // Each address can only contribute its newest offset + limit txs
+    const byTxid = new Map();
+    for (const a of account.addresses) {
+      const txs = await backend.getTransactions(a.address, { limit: offset + limit });
+      for (const tx of txs) byTxid.set(tx.txid, tx);
+    }
+
+    const tipHeight = await backend.getTipHeight();
+    const transactions = [...byTxid.values()]
+      .sort(compareTxsNewestFirst)
+      .slice(offset, offset + limit)
+      .map(tx => summarizeTx(tx, own, tipHeight));
+
+    res.json({
+      success: true,
+      network: NETWORK_NAME,
+      id: wallet.id,
+      limit,
+      offset,
+      transactions,
+    });
+  } catch (err) {
+    console.error("BTC WATCH HISTORY ERROR 👉", err.response?.data || err.message);
+    res.status(500).json({
+      error: err.response?.data || err.message,
+    });
+  }
+});
+
+// Unsigned PSBT for an offline or hardware signer
+router.post("/watch/:id/psbt", async (req, res) => {
+  try {
+    const wallet = watchWallets.get(req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ error: "watch-only wallet not found" });
+    }
+
+    const { to, amount, feeRate: requestedFeeRate } = req.body;
+
+    if (!to || !amount) {
+      return res.status(400).json({ error: "to, amount required" });
+    }
+
+    if (!isValidAddress(to)) {
+      return res.status(400).json({ error: `Invalid ${NETWORK_NAME} address: ${to}` });
+    }
+
+    const amountSats = btcToSats(amount);
+    if (!Number.isFinite(amountSats)) {
+      return res.status(400).json({ error: "invalid amount" });
+    }
+
+    if (amountSats < DUST_THRESHOLD) {
+      return res.status(400).json({
+        error: `amount below dust threshold (${DUST_THRESHOLD} sats)`,
+      });
+    }
+
+    let feeRate;
+    try {
+      feeRate = parseFeeRate(requestedFeeRate);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    feeRate ??= await fetchFeeRate();
+
+    let built;
+    try {
+      built = await buildWatchOnlyPsbt(wallet, { to, amountSats, feeRate });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const { psbt, plan, change } = built;
+
+    res.json({
+      success: true,
+      network: NETWORK_NAME,
+      id: wallet.id,
+      psbt: psbt.toBase64(),
+      to,
+      amount_sats: amountSats,
+      fee_sats: plan.fee,
+      feeRate,
+      inputs: plan.inputs.map(u => ({
+        txid: u.txid,
+        vout: u.vout,
+        value: u.value,
+        path: u.path
+      })),
+      change,
+    });
+  } catch (err) {
+    console.error("BTC WATCH PSBT ERROR 👉", err.response?.data || err.message);
+    res.status(500).json({
+      error: err.response?.data || err.message,
+    });
+  }
+});
+
+router.delete("/watch/:id", (req, res) => {
+  if (!watchWallets.delete(req.params.id)) {
+    return res.status(404).json({ error: "watch-only wallet not found" });
+  }
+
+  res.json({ success: true, id: req.params.id });
+});
+
+
+
+/* ===============================
+   COIN CONTROL
+================================ */
+router.get("/:address/utxos", async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({ error: `Invalid ${NETWORK_NAME} address: ${address}` });
+    }
+
+    const utxos = (await fetchUtxos(address)).map(u => {
+      const meta = utxoMeta.get(outpointOf(u)) || {};
+      return {
+        outpoint: outpointOf(u),
+        txid: u.txid,
+        vout: u.vout,
+        value_sats: u.value,
+        value_btc: satsToBtc(u.value),
+        frozen: Boolean(meta.frozen),
+        label: meta.label ?? null,
+      };
+    });
+
+    res.json({
+      success: true,
+      network: NETWORK_NAME,
+      address,
+      count: utxos.length,
+      spendable_sats: utxos
+        .filter(u => !u.frozen)
+        .reduce((sum, u) => sum + u.value_sats, 0),
+      utxos,
+    });
+  } catch (err) {
+    console.error("BTC UTXO ERROR 👉", err.response?.data || err.message);
+    res.status(500).json({
+      error: err.response?.data || err.message,
+    });
+  }
+});
+
+function setFrozen(req, res, frozen) {
+  const { outpoints } = req.body;
+
+  if (!Array.isArray(outpoints) || !outpoints.length) {
+    return res.status(400).json({ error: "outpoints required" });
+  }
+
+  let parsed;
+  try {
+    parsed = outpoints.map(parseOutpoint);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  for (const o of parsed) {
+    utxoMeta.set(o, { ...utxoMeta.get(o), frozen });
+  }
+
+  res.json({ success: true, frozen, outpoints: parsed });
+}
+
+router.post("/utxos/freeze", (req, res) => setFrozen(req, res, true));
+router.post("/utxos/unfreeze", (req, res) => setFrozen(req, res, false));
+
+router.post("/utxos/label", (req, res) => {
+  const { outpoint, label } = req.body;
+
+  let parsed;
+  try {
+    parsed = parseOutpoint(outpoint);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  utxoMeta.set(parsed, { ...utxoMeta.get(parsed), label: label ?? null });
+
+  res.json({ success: true, outpoint: parsed, label: label ?? null });
+});
+
+
+
+/* ===============================
+   BUMP FEE (RBF / CPFP)
+================================ */
+router.post("/tx/:txid/bump", async (req, res) => {
+  try {
+    const { txid } = req.params;
+    const {
+      privateKey,
+      mode = "rbf",
+      feeRate: requestedFeeRate,
+      changeVout
+    } = req.body;
+
+    if (!/^[0-9a-fA-F]{64}$/.test(txid)) {
+      return res.status(400).json({ error: "invalid txid" });
+    }
+
+    if (!privateKey) {
+      return res.status(400).json({ error: "privateKey required" });
+    }
+
+    if (!["rbf", "cpfp"].includes(mode)) {
+      return res.status(400).json({ error: "mode must be rbf or cpfp" });
+    }
+
+    const status = await backend.getTxStatus(txid);
+    if (status.confirmed) {
+      return res.status(400).json({ error: "transaction already confirmed" });
+    }
+
+    const original = await loadTxWithPrevouts(txid);
+    const fromAddress = original.inputs[0].address;
+
+    if (original.inputs.some(i => i.address !== fromAddress)) {
+      return res.status(400).json({
+        error: "only transactions spending a single address can be bumped",
+      });
+    }
+
+    const addressType = req.body.addressType || detectAddressType(fromAddress);
+    if (!ADDRESS_TYPES[addressType]) {
+      return res.status(400).json({
+        error: `Cannot spend from ${fromAddress}: unsupported addressType`,
+      });
+    }
+
+    let keyPair;
+    try {
+      keyPair = ECPair.fromWIF(privateKey, NETWORK);
+    } catch {
+      return res.status(400).json({ error: "invalid privateKey" });
+    }
+
+    const { address: ownAddress } =
+      ADDRESS_TYPES[addressType].payment(keyPair.publicKey);
+
+    if (ownAddress !== fromAddress) {
+      return res.status(400).json({ error: "privateKey mismatch" });
+    }
+
+    let feeRate;
+    try {
+      feeRate = parseFeeRate(requestedFeeRate);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    feeRate ??= await fetchFeeRate();
+
+    const originalFeeRate = original.fee / original.vsize;
+    if (feeRate <= originalFeeRate) {
+      return res.status(400).json({
+        error: `feeRate must exceed the current ${originalFeeRate.toFixed(2)} sat/vB`,
+      });
+    }
+
+    const opts = { fromAddress, addressType, feeRate };
+
+    if (mode === "rbf") {
+      let plan;
+      try {
+        const spare = await fetchReplacementInputs(original, fromAddress);
+        plan = planReplacement(original, { ...opts, changeVout, spare });
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+
+      const { hex, txid: newTxid, vsize } = await buildSignedTx({
+        keyPair,
+        addressType,
+        fromAddress,
+        inputs: plan.inputs,
+        outputs: plan.recipients,
+        change: plan.change,
+      });
+
+      const txId = await broadcastTx(hex);
+
+      return res.json({
+        success: true,
+        chain: "BTC",
+        mode,
+        replacedTxid: txid,
+        originalFee_sats: original.fee,
+        fee_sats: plan.fee,
+        feeRate,
+        vsize,
+        inputs: plan.inputs.map(u => ({ txid: u.txid, vout: u.vout, value: u.value })),
+        change: plan.change
+          ? { address: fromAddress, value: plan.change }
+          : null,
+        txId: txId || newTxid,
+      });
+    }
+
+    let plan;
+    try {
+      plan = planCpfp(original, opts);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const { hex, txid: childTxid, vsize } = await buildSignedTx({
+      keyPair,
+      addressType,
+      fromAddress,
+      inputs: plan.inputs,
+      outputs: [{ address: fromAddress, value: plan.value }],
+      change: 0,
+    });
+
+    const txId = await broadcastTx(hex);
+
+    res.json({
+      success: true,
+      chain: "BTC",
+      mode,
+      parentTxid: txid,
+      parentFee_sats: original.fee,
+      fee_sats: plan.fee,
+      feeRate,
+      packageFeeRate: Number(plan.packageFeeRate.toFixed(2)),
+      vsize,
+      inputs: plan.inputs,
+      output: { address: fromAddress, value: plan.value },
+      txId: txId || childTxid,
+    });
+  } catch (err) {
+    console.error("BTC BUMP ERROR 👉", err.response?.data || err.message);
+    res.status(500).json({
+      error: err.response?.data || err.message,
+    });
+  }
+});
+
+
+
+/* ===============================
+   MULTISIG WALLETS
+================================ */
+router.post("/multisig", (req, res) => {
+  try {
+    const { xpubs, m, scriptType = "p2wsh", label = null } = req.body;
+
+    if (!Array.isArray(xpubs) || !xpubs.length || !m) {
+      return res.status(400).json({ error: "xpubs (array), m required" });
+    }
+
+    const n = xpubs.length;
+    if (!Number.isInteger(m) || m < 1 || m > n || n > MAX_MULTISIG_KEYS) {
+      return res.status(400).json({
+        error: `need 1 <= m <= n <= ${MAX_MULTISIG_KEYS}`,
+      });
+    }
+
+    if (!MULTISIG_SCRIPT_TYPES.includes(scriptType)) {
+      return res.status(400).json({
+        error: `scriptType must be one of ${MULTISIG_SCRIPT_TYPES.join(", ")}`,
+      });
+    }
+
+    let gapLimit;
+    let cosigners;
+    try {
+      gapLimit = parseGapLimit(req.body.gapLimit);
+
+      cosigners = xpubs.map(expr => {
+        const parsed = parseKeyExpression(String(expr), parseCosignerKey);
+        const hasOrigin = parsed.fingerprint && parsed.derivationPath;
+
+        // Without a known origin, paths are relative to the xpub itself
+        return {
+          node: parsed.node,
+          key: parsed.key,
+          fingerprint: hasOrigin
+            ? parsed.fingerprint
+            : Buffer.from(parsed.node.fingerprint).toString("hex"),
+          path: hasOrigin ? parsed.derivationPath : "m"
+        };
+      });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    if (new Set(cosigners.map(c => c.key)).size !== n) {
+      return res.status(400).json({ error: "duplicate cosigner xpub" });
+    }
+
+    const wallet = {
+      id: crypto.randomUUID(),
+      label,
+      multisig: true,
+      m,
+      n,
+      scriptType,
+      cosigners,
+      path: "m",
+      inputVbytes: multisigInputVbytes(m, n, scriptType),
+      gapLimit,
+      createdAt: new Date().toISOString()
+    };
+
+    multisigWallets.set(wallet.id, wallet);
+
+    res.json({
+      success: true,
+      network: NETWORK_NAME,
+      wallet: multisigWalletView(wallet),
+      firstReceiveAddress: accountAddress(wallet, CHAIN_RECEIVE, 0),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get("/multisig", (req, res) => {
+  res.json({
+    success: true,
+    network: NETWORK_NAME,
+    wallets: [...multisigWallets.values()].map(multisigWalletView),
+  });
+});
+
+router.get("/multisig/:id", async (req, res) => {
+  try {
+    const wallet = multisigWallets.get(req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ error: "multisig wallet not found" });
+    }
+
+    const account = await discoverAccount(wallet, wallet.gapLimit);
+
+    res.json({
+      success: true,
+      network: NETWORK_NAME,
+      wallet: multisigWalletView(wallet),
+      balance_sats: account.balance,
+      balance_btc: satsToBtc(account.balance),
+      addresses: account.addresses,
+      utxos: account.utxos,
+      nextReceiveAddress: account.nextReceive,
+      nextChangeAddress: account.nextChange,
+    });
+  } catch (err) {
+    console.error("BTC MULTISIG ERROR 👉", err.response?.data || err.message);
+    res.status(500).json({
+      error: err.response?.data || err.message,
+    });
+  }
+});
+
+// Step 1: unsigned PSBT carrying every cosigner's derivation info
+router.post("/multisig/:id/psbt", async (req, res) => {
+  try {
+    const wallet = multisigWallets.get(req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ error: "multisig wallet not found" });
+    }
+
+    const { to, amount, feeRate: requestedFeeRate } = req.body;
+
+    if (!to || !amount) {
+      return res.status(400).json({ error: "to, amount required" });
+    }
+
+    if (!isValidAddress(to)) {
+      return res.status(400).json({ error: `Invalid ${NETWORK_NAME} address: ${to}` });
+    }
+
+    const amountSats = btcToSats(amount);
+    if (!Number.isFinite(amountSats)) {
+      return res.status(400).json({ error: "invalid amount" });
+    }
+
+    if (amountSats < DUST_THRESHOLD) {
+      return res.status(400).json({
+        error: `amount below dust threshold (${DUST_THRESHOLD} sats)`,
+      });
+    }
+
+    let feeRate;
+    try {
+      feeRate = parseFeeRate(requestedFeeRate);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    feeRate ??= await fetchFeeRate();
+
+    let built;
+    try {
+      built = await buildMultisigPsbt(wallet, { to, amountSats, feeRate });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
 
-// Broadcast transaction
-async function broadcastTx(hex) {
-  const r = await axios.post(
-    `${TATUM_API}/bitcoin/broadcast`,
-    { txData: hex },
-    { headers: TATUM_HEADERS }
-  );
+    const { psbt, plan, change } = built;
 
-  return r.data.txId;
-}
+    res.json({
+      success: true,
+      network: NETWORK_NAME,
+      id: wallet.id,
+      psbt: psbt.toBase64(),
+      to,
+      amount_sats: amountSats,
+      fee_sats: plan.fee,
+      feeRate,
+      inputs: plan.inputs.map(u => ({
+        txid: u.txid,
+        vout: u.vout,
+        value: u.value,
+        chain: u.chain,
+        index: u.index
+      })),
+      change,
+      ...psbtSignatureStatus(psbt, wallet.m),
+    });
+  } catch (err) {
+    console.error("BTC MULTISIG PSBT ERROR 👉", err.response?.data || err.message);
+    res.status(500).json({
+      error: err.response?.data || err.message,
+    });
+  }
+});
 
-function estimateTxVsize(inputs, outputs) {
-  return (
-    inputs * VBYTE_PER_INPUT +
-    outputs * VBYTE_PER_OUTPUT +
-    TX_OVERHEAD_VBYTES
-  );
-}
+// Step 2: one cosigner adds partial signatures, from a mnemonic or master
+// xprv, the cosigner's own account xprv, or a single WIF
+router.post("/multisig/:id/sign", async (req, res) => {
+  try {
+    const wallet = multisigWallets.get(req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ error: "multisig wallet not found" });
+    }
 
-function selectUtxosGreedy(utxos, target) {
-  const sorted = [...utxos].sort((a, b) => a.value - b.value);
-  let sum = 0;
-  const chosen = [];
+    const { psbt: psbtBase64, mnemonic, xprv, privateKeyWIF } = req.body;
 
-  for (const u of sorted) {
-    chosen.push(u);
-    sum += u.value;
-    if (sum >= target) break;
-  }
+    if (!psbtBase64 || !(mnemonic || xprv || privateKeyWIF)) {
+      return res.status(400).json({
+        error: "psbt and one of mnemonic, xprv, privateKeyWIF required",
+      });
+    }
 
-  return { chosen, sum };
-}
+    let psbt;
+    try {
+      psbt = parsePsbt(psbtBase64);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
 
-/* ===============================
-   ROUTES
-================================ */
+    const before = countPartialSigs(psbt);
+
+    try {
+      if (privateKeyWIF) {
+        const keyPair = ECPair.fromWIF(privateKeyWIF, NETWORK);
+
+        // signInput throws for inputs this key is not part of
+        psbt.data.inputs.forEach((_, i) => {
+          try {
+            psbt.signInput(i, keyPair);
+          } catch {}
+        });
+      } else {
+        const root = mnemonic
+          ? bip32.fromSeed(bip39.mnemonicToSeedSync(mnemonic), NETWORK)
+          : parseCosignerPrivateKey(xprv);
+
+        // An account xprv carries no master fingerprint, match it to the
+        // cosigner it neuters to and derive below the registered path
+        const cosigner = root.depth > 0
+          ? wallet.cosigners.find(c => Buffer.compare(c.node.publicKey, root.publicKey) === 0)
+          : null;
+
+        if (cosigner) {
+          psbt.data.inputs.forEach((input, i) => {
+            const derivation = input.bip32Derivation?.find(d =>
+              d.path.startsWith(`${cosigner.path}/`)
+            );
+            if (!derivation) return;
+
+            psbt.signInput(i, root.derivePath(derivation.path.slice(cosigner.path.length + 1)));
+          });
+        } else {
+          // Throws when no input derives from this key, reported below
+          try {
+            psbt.signAllInputsHD(root);
+          } catch {}
+        }
+      }
+    } catch (e) {
+      return res.status(400).json({ error: `Signing failed: ${e.message}` });
+    }
 
-// Health
-router.get("/health", (req, res) => {
-  res.json({
-    ok: true,
-    network: NETWORK_NAME,
-    provider: "tatum"
-  });
+    const signaturesAdded = countPartialSigs(psbt) - before;
+    if (!signaturesAdded) {
+      return res.status(400).json({
+        error: "Key is not a cosigner of any input in this PSBT",
+      });
+    }
+
+    res.json({
+      success: true,
+      id: wallet.id,
+      psbt: psbt.toBase64(),
+      signaturesAdded,
+      ...psbtSignatureStatus(psbt, wallet.m),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Create wallet
-router.post("/wallet/create", (req, res) => {
+// Step 3: merge PSBTs signed separately by different cosigners
+router.post("/multisig/:id/combine", (req, res) => {
   try {
-    const { words = 12 } = req.body;
-
-    if (![12, 24].includes(words)) {
-      return res.status(400).json({ error: "words must be 12 or 24" });
+    const wallet = multisigWallets.get(req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ error: "multisig wallet not found" });
     }
 
-    const strength = words === 24 ? 256 : 128;
-    const mnemonic = bip39.generateMnemonic(strength);
+    const { psbts } = req.body;
+
+    if (!Array.isArray(psbts) || psbts.length < 2) {
+      return res.status(400).json({ error: "psbts (at least 2) required" });
+    }
 
-    const { child, path } = deriveFromMnemonic(mnemonic);
+    let combined;
+    try {
+      const [first, ...rest] = psbts.map(parsePsbt);
+      combined = first.combine(...rest);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
 
     res.json({
-      network: NETWORK_NAME,
-      mnemonic,
-      derivationPath: path,
-      address: buildAddressFromNode(child),
-      privateKeyWIF: child.toWIF()
+      success: true,
+      id: wallet.id,
+      psbt: combined.toBase64(),
+      ...psbtSignatureStatus(combined, wallet.m),
     });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
 });
 
+// Step 4: finalize once every input has m signatures, then broadcast.
+// Signatures beyond m (e.g. all three cosigners of a 2-of-3) are dropped
+router.post("/multisig/:id/finalize", async (req, res) => {
+  try {
+    const wallet = multisigWallets.get(req.params.id);
+    if (!wallet) {
+      return res.status(404).json({ error: "multisig wallet not found" });
+    }
 
+    const { psbt: psbtBase64, broadcast = true } = req.body;
 
-/* ===============================
-   IMPORT WALLET FROM WIF
-================================ */
-router.post("/wallet/import", (req, res) => {
-  try {
-    const { privateKeyWIF } = req.body;
+    if (!psbtBase64) {
+      return res.status(400).json({ error: "psbt required" });
+    }
 
-    if (!privateKeyWIF) {
+    let psbt;
+    try {
+      psbt = parsePsbt(psbtBase64);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const status = psbtSignatureStatus(psbt, wallet.m);
+    if (!status.complete) {
       return res.status(400).json({
-        error: "privateKeyWIF required",
+        error: `${status.missingSignatures} signature(s) still missing`,
+        ...status,
       });
     }
 
-    // Create key pair from WIF
-    const keyPair = ECPair.fromWIF(privateKeyWIF, NETWORK);
+    // Inputs a cosigner already finalized are complete as they are
+    const pending = psbt.data.inputs
+      .map((input, index) => ({ input, index }))
+      .filter(({ input }) => !isFinalizedInput(input))
+      .map(({ index }) => index);
 
-    // Generate Native SegWit address
-    const { address } = bitcoin.payments.p2wpkh({
-      pubkey: keyPair.publicKey,
-      network: NETWORK,
-    });
+    if (!pending.every(i => psbt.validateSignaturesOfInput(i, validateSignature))) {
+      return res.status(400).json({ error: "Signature validation failed" });
+    }
+
+    trimPartialSigs(psbt, wallet.m);
+    pending.forEach(i => psbt.finalizeInput(i));
+
+    const tx = psbt.extractTransaction();
+    const hex = tx.toHex();
+    const txId = broadcast ? await broadcastTx(hex) : null;
 
     res.json({
       success: true,
-      network: NETWORK_NAME,
-      address,
-      privateKeyWIF,
+      id: wallet.id,
+      fee_sats: Number(psbt.getFee()),
+      vsize: tx.virtualSize(),
+      hex,
+      broadcast: Boolean(broadcast),
+      txId: txId || tx.getId(),
+      ...psbtSignatureStatus(psbt, wallet.m),
     });
   } catch (err) {
+    console.error("BTC MULTISIG FINALIZE ERROR 👉", err.response?.data || err.message);
     res.status(500).json({
-      error: "Invalid WIF or failed to import wallet",
-      details: err.message,
+      error: err.response?.data || err.message,
     });
   }
 });
 
 
 
-
 /* ===============================
-   IMPORT WALLET FROM MNEMONIC
+   SIGN / VERIFY MESSAGE
 ================================ */
-router.post("/wallet/import/mnemonic", (req, res) => {
+router.post("/message/sign", (req, res) => {
   try {
     const {
+      message,
+      privateKeyWIF,
       mnemonic,
       accountIndex = 0,
       addressIndex = 0,
     } = req.body;
 
-    if (!mnemonic) {
+    if (typeof message !== "string" || !(privateKeyWIF || mnemonic)) {
       return res.status(400).json({
-        error: "mnemonic required",
+        error: "message and one of privateKeyWIF, mnemonic required",
       });
     }
 
-    if (!bip39.validateMnemonic(mnemonic)) {
-      return res.status(400).json({
-        error: "Invalid mnemonic",
-      });
+    let addressType;
+    try {
+      addressType = parseAddressType(req.body.addressType);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
     }
 
-    const seed = bip39.mnemonicToSeedSync(mnemonic);
-    const root = bip32.fromSeed(seed, NETWORK);
+    // Taproot has no legacy format, everything else defaults to it
+    const format = req.body.format || (addressType === "p2tr" ? "bip322" : "legacy");
 
-    const path = `m/${DEFAULT_PURPOSE}'/${DEFAULT_COIN}'/${accountIndex}'/0/${addressIndex}`;
-    const child = root.derivePath(path);
+    if (!["legacy", "bip322"].includes(format)) {
+      return res.status(400).json({ error: "format must be legacy or bip322" });
+    }
+    if (format === "legacy" && !LEGACY_HEADER_BASE[addressType]) {
+      return res.status(400).json({ error: `legacy format does not support ${addressType}` });
+    }
+    if (format === "bip322" && !BIP322_ADDRESS_TYPES.includes(addressType)) {
+      return res.status(400).json({ error: `bip322 format does not support ${addressType}` });
+    }
+
+    let keyPair;
+    let derivationPath = null;
+    if (mnemonic) {
+      if (!bip39.validateMnemonic(mnemonic)) {
+        return res.status(400).json({ error: "Invalid mnemonic" });
+      }
+
+      const { child, path } = deriveFromMnemonic(
+        mnemonic,
+        accountIndex,
+        addressIndex,
+        addressType
+      );
+      keyPair = ECPair.fromPrivateKey(Buffer.from(child.privateKey), { network: NETWORK });
+      derivationPath = path;
+    } else {
+      keyPair = ECPair.fromWIF(privateKeyWIF, NETWORK);
+    }
+
+    const { address } = ADDRESS_TYPES[addressType].payment(keyPair.publicKey);
 
-    const address = buildAddressFromNode(child);
+    const signature = format === "legacy"
+      ? signMessageLegacy(keyPair, message, addressType)
+      : signMessageBip322(keyPair, message, address, addressType);
 
     res.json({
       success: true,
       network: NETWORK_NAME,
-      derivationPath: path,
       address,
-      privateKeyWIF: child.toWIF(),
+      addressType,
+      derivationPath,
+      format,
+      message,
+      signature,
     });
   } catch (err) {
-    res.status(500).json({
-      error: "Failed to import mnemonic",
-      details: err.message,
-    });
+    res.status(500).json({ error: err.message });
   }
 });
 
+router.post("/message/verify", (req, res) => {
+  try {
+    const { address, message, signature } = req.body;
+
+    if (!address || typeof message !== "string" || !signature) {
+      return res.status(400).json({ error: "address, message, signature required" });
+    }
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({ error: `Invalid ${NETWORK_NAME} address: ${address}` });
+    }
+
+    const sig = Buffer.from(signature, "base64");
 
+    // A 65-byte blob with a BIP137 header is legacy, anything else is a witness
+    const format = sig.length === 65 && sig[0] >= 27 && sig[0] <= 42
+      ? "legacy"
+      : "bip322";
+
+    let valid;
+    try {
+      valid = format === "legacy"
+        ? verifyMessageLegacy(address, message, sig)
+        : verifyMessageBip322(address, message, sig);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
 
+    res.json({
+      success: true,
+      address,
+      format,
+      valid,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
 
 
 /* ===============================
-   GET BTC BALANCE (TATUM)
+   GET BTC BALANCE
 ================================ */
 router.get("/:address/balance", async (req, res) => {
   try {
     const { address } = req.params;
 
-    const r = await axios.get(
-      `${TATUM_API}/bitcoin/address/balance/${address}`,
-      { headers: TATUM_HEADERS }
-    );
+    if (!isValidAddress(address)) {
+      return res.status(400).json({ error: `Invalid ${NETWORK_NAME} address: ${address}` });
+    }
+
+    const addressType = detectAddressType(address);
 
-    // 🔥 IMPORTANT: values are in BTC
-    const incomingBtc = Number(r.data.incoming || 0);
-    const outgoingBtc = Number(r.data.outgoing || 0);
+    if (req.query.addressType && req.query.addressType !== addressType) {
+      return res.status(400).json({
+        error: `address is ${addressType || "not a single-key type"}, not ${req.query.addressType}`,
+      });
+    }
 
-    const balanceBtc = incomingBtc - outgoingBtc;
-    const balanceSats = Math.round(balanceBtc * 1e8);
+    const { balance, incoming, outgoing } = await backend.getBalance(address);
 
     res.json({
       success: true,
       chain: "BTC",
+      network: NETWORK_NAME,
       address,
-      balance_btc: balanceBtc,
-      balance_sats: balanceSats,
-      incoming_btc: incomingBtc,
-      outgoing_btc: outgoingBtc,
+      addressType,
+      balance_btc: satsToBtc(balance),
+      balance_sats: balance,
+      incoming_btc: incoming === null ? null : satsToBtc(incoming),
+      outgoing_btc: outgoing === null ? null : satsToBtc(outgoing),
     });
   } catch (err) {
     console.error("BTC BALANCE ERROR 👉", err.response?.data || err.message);
@@ -304,6 +3084,157 @@ router.get("/:address/balance", async (req, res) => {
 
 
 
+router.get("/:address/history", async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!isValidAddress(address)) {
+      return res.status(400).json({ error: `Invalid ${NETWORK_NAME} address: ${address}` });
+    }
+
+    const { limit, offset } = parsePagination(req.query);
+    const txs = await backend.getTransactions(address, { limit, offset });
+    const tipHeight = await backend.getTipHeight();
+    const own = new Set([address]);
+
+    res.json({
+      success: true,
+      chain: "BTC",
+      network: NETWORK_NAME,
+      address,
+      limit,
+      offset,
+      transactions: txs.map(tx => summarizeTx(tx, own, tipHeight)),
+    });
+  } catch (err) {
+    console.error("BTC HISTORY ERROR 👉", err.response?.data || err.message);
+    res.status(500).json({
+      error: err.response?.data || err.message,
+    });
+  }
+});
+
+
+
+/* ===============================
+   SEND BTC (LOCAL SIGNING)
+================================ */
+
+// Checks the spending key and coin options in req.body, then signs and
+// broadcasts a tx paying `outputs` ([{ address | script, value }]).
+// Responds 400 and returns null when the request can't be satisfied.
+async function signAndSend(req, res, outputs) {
+  const { from } = req.params;
+  const {
+    privateKey,
+    feeRate: requestedFeeRate,
+    rbf = true,
+    inputs
+  } = req.body;
+
+  const addressType = req.body.addressType || detectAddressType(from);
+
+  if (!ADDRESS_TYPES[addressType]) {
+    res.status(400).json({
+      error: `Cannot spend from ${from}: unsupported addressType`,
+    });
+    return null;
+  }
+
+  // privateKey is a WIF, never leaves this process
+  let keyPair;
+  try {
+    keyPair = ECPair.fromWIF(privateKey, NETWORK);
+  } catch {
+    res.status(400).json({ error: "invalid privateKey" });
+    return null;
+  }
+
+  const { address: ownAddress } =
+    ADDRESS_TYPES[addressType].payment(keyPair.publicKey);
+
+  if (ownAddress !== from) {
+    res.status(400).json({ error: "privateKey mismatch" });
+    return null;
+  }
+
+  let feeRate;
+  try {
+    feeRate = parseFeeRate(requestedFeeRate);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+    return null;
+  }
+  feeRate ??= await fetchFeeRate();
+
+  let selected = null;
+  try {
+    if (inputs !== undefined) {
+      if (!Array.isArray(inputs) || !inputs.length) {
+        throw new Error("inputs must be a non-empty array of txid:vout");
+      }
+      selected = inputs.map(parseOutpoint);
+
+      const frozen = selected.filter(o => utxoMeta.get(o)?.frozen);
+      if (frozen.length) {
+        throw new Error(`Frozen UTXOs selected: ${frozen.join(", ")}`);
+      }
+    }
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+    return null;
+  }
+
+  // Explicit selections are checked against the full set, automatic
+  // selection only ever sees unfrozen coins
+  const utxos = selected
+    ? await fetchUtxos(from)
+    : await fetchSpendableUtxos(from);
+
+  if (!utxos.length) {
+    res.status(400).json({ error: "No UTXO available" });
+    return null;
+  }
+
+  const totalSats = outputs.reduce((sum, o) => sum + o.value, 0);
+
+  let plan;
+  try {
+    plan = planSpend(utxos, totalSats, feeRate, {
+      recipientScripts: outputs.map(o =>
+        o.script || bitcoin.address.toOutputScript(o.address, NETWORK)
+      ),
+      changeScript: bitcoin.address.toOutputScript(from, NETWORK),
+      addressType,
+      inputs: selected,
+    });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+    return null;
+  }
+
+  const { hex, txid, vsize } = await buildSignedTx({
+    keyPair,
+    addressType,
+    fromAddress: from,
+    inputs: plan.inputs,
+    outputs,
+    change: plan.change,
+    rbf: rbf !== false,
+  });
+
+  const txId = await broadcastTx(hex);
+
+  return {
+    addressType,
+    plan,
+    feeRate,
+    vsize,
+    rbf: rbf !== false,
+    txId: txId || txid,
+  };
+}
+
 router.post("/:from/send", async (req, res) => {
   try {
     const { from } = req.params;
@@ -315,38 +3246,162 @@ router.post("/:from/send", async (req, res) => {
       });
     }
 
-    // 🔹 Tatum BTC send payload
-    const payload = {
-      fromAddress: [
-        {
-          address: from,
-          privateKey: privateKey,
-        },
-      ],
-      to: [
-        {
-          address: to,
-          value: Number(amount),
-        },
-      ],
-    };
+    if (!isValidAddress(to)) {
+      return res.status(400).json({ error: `Invalid ${NETWORK_NAME} address: ${to}` });
+    }
 
-    const r = await axios.post(
-      `${TATUM_API}/bitcoin/transaction`,
-      payload,
-      { headers: TATUM_HEADERS }
-    );
+    const amountSats = btcToSats(amount);
+    if (!Number.isFinite(amountSats)) {
+      return res.status(400).json({ error: "invalid amount" });
+    }
+
+    if (amountSats < DUST_THRESHOLD) {
+      return res.status(400).json({
+        error: `amount below dust threshold (${DUST_THRESHOLD} sats)`,
+      });
+    }
+
+    const sent = await signAndSend(req, res, [{ address: to, value: amountSats }]);
+    if (!sent) return;
+
+    const { plan } = sent;
 
     res.json({
       success: true,
       chain: "BTC",
       from,
+      addressType: sent.addressType,
       to,
       amount,
-      txId: r.data.txId,
+      amount_sats: amountSats,
+      fee_sats: plan.fee,
+      fee_btc: satsToBtc(plan.fee),
+      feeRate: sent.feeRate,
+      vsize: sent.vsize,
+      rbf: sent.rbf,
+      selection: plan.strategy,
+      inputs: plan.inputs.map(u => ({ txid: u.txid, vout: u.vout, value: u.value })),
+      change: plan.change
+        ? { address: from, value: plan.change }
+        : null,
+      txId: sent.txId,
+    });
+  } catch (err) {
+    console.error("BTC SEND ERROR 👉", err.response?.data || err.message);
+
+    res.status(500).json({
+      error: err.response?.data || err.message,
+    });
+  }
+});
+
+
+
+/* ===============================
+   BATCH SEND (+ OP_RETURN)
+================================ */
+
+const MAX_BATCH_RECIPIENTS = 500;
+
+// Standard relay policy caps OP_RETURN payloads at 80 bytes
+const MAX_OP_RETURN_BYTES = 80;
+
+router.post("/:from/send/batch", async (req, res) => {
+  try {
+    const { from } = req.params;
+    const { recipients, opReturn, opReturnHex, privateKey } = req.body;
+
+    if (!Array.isArray(recipients) || !recipients.length || !privateKey) {
+      return res.status(400).json({
+        error: "recipients (non-empty array), privateKey required",
+      });
+    }
+
+    if (recipients.length > MAX_BATCH_RECIPIENTS) {
+      return res.status(400).json({
+        error: `at most ${MAX_BATCH_RECIPIENTS} recipients per transaction`,
+      });
+    }
+
+    // Report every bad entry at once so payout jobs can fix them in one pass
+    const errors = [];
+    const payments = recipients.map((r, i) => {
+      const value = btcToSats(r?.amount);
+
+      if (!r?.address || !isValidAddress(r.address)) {
+        errors.push(`recipients[${i}]: invalid ${NETWORK_NAME} address ${r?.address}`);
+      } else if (!(value >= DUST_THRESHOLD)) {
+        errors.push(`recipients[${i}]: amount below dust threshold (${DUST_THRESHOLD} sats)`);
+      }
+
+      return { address: r?.address, value };
+    });
+
+    if (errors.length) {
+      return res.status(400).json({ error: "invalid recipients", details: errors });
+    }
+
+    if (opReturn !== undefined && opReturnHex !== undefined) {
+      return res.status(400).json({ error: "use either opReturn or opReturnHex" });
+    }
+
+    let data = null;
+    if (opReturnHex !== undefined) {
+      if (!/^([0-9a-fA-F]{2})*$/.test(opReturnHex)) {
+        return res.status(400).json({ error: "opReturnHex must be hex" });
+      }
+      data = Buffer.from(opReturnHex, "hex");
+    } else if (opReturn !== undefined) {
+      data = Buffer.from(String(opReturn), "utf8");
+    }
+
+    if (data && data.length > MAX_OP_RETURN_BYTES) {
+      return res.status(400).json({
+        error: `OP_RETURN data exceeds ${MAX_OP_RETURN_BYTES} bytes`,
+      });
+    }
+
+    const outputs = [...payments];
+    if (data) {
+      outputs.push({ script: bitcoin.payments.embed({ data: [data] }).output, value: 0 });
+    }
+
+    const sent = await signAndSend(req, res, outputs);
+    if (!sent) return;
+
+    const { plan } = sent;
+    const totalSats = payments.reduce((sum, p) => sum + p.value, 0);
+
+    res.json({
+      success: true,
+      chain: "BTC",
+      from,
+      addressType: sent.addressType,
+      outputs: payments.map((p, vout) => ({
+        vout,
+        address: p.address,
+        amount_sats: p.value,
+        amount_btc: satsToBtc(p.value),
+      })),
+      opReturn: data
+        ? { vout: payments.length, data_hex: data.toString("hex") }
+        : null,
+      total_sats: totalSats,
+      total_btc: satsToBtc(totalSats),
+      fee_sats: plan.fee,
+      fee_btc: satsToBtc(plan.fee),
+      feeRate: sent.feeRate,
+      vsize: sent.vsize,
+      rbf: sent.rbf,
+      selection: plan.strategy,
+      inputs: plan.inputs.map(u => ({ txid: u.txid, vout: u.vout, value: u.value })),
+      change: plan.change
+        ? { vout: outputs.length, address: from, value: plan.change }
+        : null,
+      txId: sent.txId,
     });
   } catch (err) {
-    console.error("BTC TATUM SEND ERROR 👉", err.response?.data || err.message);
+    console.error("BTC BATCH SEND ERROR 👉", err.response?.data || err.message);
 
     res.status(500).json({
       error: err.response?.data || err.message,
@@ -356,4 +3411,16 @@ router.post("/:from/send", async (req, res) => {
 
 
 
+// Pure planners, coin selection and message signing, exported for the tests
+export {
+  estimateTxVsize,
+  planSpend,
+  planReplacement,
+  planCpfp,
+  signMessageLegacy,
+  verifyMessageLegacy,
+  signMessageBip322,
+  verifyMessageBip322
+};
+
 export default router;
@@ -1,15 +1,38 @@
 import express from 'express';
 import bodyParser from 'body-parser';
 import dotenv from 'dotenv';
+import fs from 'fs';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
 import {
   Wallet,
+  HDNodeWallet,
   JsonRpcProvider,
-  formatEther,
-  parseEther,
   parseUnits,          // ✅ ADD THIS
   Contract,
   isAddress,
-  formatUnits
+  formatUnits,
+  Interface,
+  getAddress,
+  zeroPadValue,
+  dataSlice,
+  MaxUint256,
+  ZeroAddress,
+  isHexString,
+  getBytes,
+  verifyMessage,
+  verifyTypedData,
+  TypedDataEncoder,
+  Signature,
+  Network,
+  FetchRequest,
+  Result,
+  toQuantity,
+  EnsPlugin,
+  decodeBytes32String
 } from 'ethers';
 
 
@@ -22,325 +45,3826 @@ router.use(bodyParser.json());
    CHAINS (SONIC + EVM)
 ================================ */
 
-export const CHAINS = {
+// Comma-separated list (RPC URLs, token addresses) from env, else the
+// defaults. Keep keyed provider URLs in env or the chains file, not in
+// source.
+function envList(envName, defaults) {
+  const fromEnv = process.env[envName];
+  if (!fromEnv) return defaults;
+  return fromEnv.split(',').map(u => u.trim()).filter(Boolean);
+}
+
+// `dex` points at Uniswap V2/V3-style contracts (V3 = SwapRouter02 +
+// QuoterV2). `nameRegistry` is an ENS-compatible registry used to
+// resolve names like vitalik.eth or jesse.base.eth. `tokens` is the
+// default ERC20 list of the portfolio endpoint. Every address can be
+// overridden from env, e.g. to swap against a local Anvil/Hardhat
+// deployment.
+const DEFAULT_CHAINS = {
   sonic: {
-    name: 'sonic',
     chainId: 146,
-    rpc: process.env.SONIC_RPC || 'https://sonic-mainnet.g.alchemy.com/v2/mRmzPjBZX6OXLO4gK5bON',
-    explorer: 'https://sonicscan.org'
+    rpcs: envList('SONIC_RPC', ['https://rpc.soniclabs.com']),
+    nativeSymbol: 'S',
+    nativeDecimals: 18,
+    explorer: 'https://sonicscan.org',
+    eip1559: true,
+    nameRegistry: process.env.SONIC_NAME_REGISTRY,
+    tokens: envList('SONIC_PORTFOLIO_TOKENS', [
+      '0x039e2fB66102314Ce7b64Ce5Ce3E5183bc94aD38' // wS
+    ]),
+    dex: {
+      wrappedNative: process.env.SONIC_WRAPPED_NATIVE || '0x039e2fB66102314Ce7b64Ce5Ce3E5183bc94aD38',
+      v2: {
+        router: process.env.SONIC_V2_ROUTER,
+        factory: process.env.SONIC_V2_FACTORY
+      },
+      v3: {
+        router: process.env.SONIC_V3_ROUTER,
+        quoter: process.env.SONIC_V3_QUOTER,
+        factory: process.env.SONIC_V3_FACTORY
+      }
+    }
   },
   ethereum: {
-    name: 'ethereum',
     chainId: 1,
-    rpc: process.env.ETH_RPC || 'https://site1.moralis-nodes.com/eth/edf69d74486f40a0a22fac09f265daad',
-    explorer: 'https://etherscan.io'
+    rpcs: envList('ETH_RPC', ['https://ethereum-rpc.publicnode.com', 'https://eth.llamarpc.com']),
+    nativeSymbol: 'ETH',
+    nativeDecimals: 18,
+    explorer: 'https://etherscan.io',
+    eip1559: true,
+    nameRegistry: process.env.ETH_NAME_REGISTRY || '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e',
+    tokens: envList('ETH_PORTFOLIO_TOKENS', [
+      '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // USDC
+      '0xdAC17F958D2ee523a2206206994597C13D831ec7', // USDT
+      '0x6B175474E89094C44Da98b954EedeAC495271d0F', // DAI
+      '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2' // WETH
+    ]),
+    dex: {
+      wrappedNative: process.env.ETH_WRAPPED_NATIVE || '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+      v2: {
+        router: process.env.ETH_V2_ROUTER || '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+        factory: process.env.ETH_V2_FACTORY || '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f'
+      },
+      v3: {
+        router: process.env.ETH_V3_ROUTER || '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+        quoter: process.env.ETH_V3_QUOTER || '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+        factory: process.env.ETH_V3_FACTORY || '0x1F98431c8aD98523631AE4a59f267346ea31F984'
+      }
+    }
   },
   base: {
-    name: 'base',
     chainId: 8453,
-    rpc: process.env.BASE_RPC || 'https://site1.moralis-nodes.com/base/c33a445381944db09bb4440571d2ac9c',
-    explorer: 'https://basescan.org'
+    rpcs: envList('BASE_RPC', ['https://mainnet.base.org', 'https://base-rpc.publicnode.com']),
+    nativeSymbol: 'ETH',
+    nativeDecimals: 18,
+    explorer: 'https://basescan.org',
+    eip1559: true,
+    nameRegistry: process.env.BASE_NAME_REGISTRY || '0xB94704422c2a1E396835A571837Aa5AE53285a95',
+    tokens: envList('BASE_PORTFOLIO_TOKENS', [
+      '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', // USDC
+      '0x4200000000000000000000000000000000000006' // WETH
+    ]),
+    dex: {
+      wrappedNative: process.env.BASE_WRAPPED_NATIVE || '0x4200000000000000000000000000000000000006',
+      v2: {
+        router: process.env.BASE_V2_ROUTER || '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24',
+        factory: process.env.BASE_V2_FACTORY || '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6'
+      },
+      v3: {
+        router: process.env.BASE_V3_ROUTER || '0x2626664c2603336E57B271c5C0b26F421741e481',
+        quoter: process.env.BASE_V3_QUOTER || '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+        factory: process.env.BASE_V3_FACTORY || '0x33128a8fC17869897dcE68Ed026d694621f6FDfD'
+      }
+    }
   },
   polygon: {
-    name: 'polygon',
     chainId: 137,
-    rpc: process.env.POLY_RPC || 'https://site1.moralis-nodes.com/polygon/1df3791b7c6b4df0a1f691fb1b1f902a',
-    explorer: 'https://polygonscan.com'
+    rpcs: envList('POLY_RPC', ['https://polygon-rpc.com', 'https://polygon-bor-rpc.publicnode.com']),
+    nativeSymbol: 'POL',
+    nativeDecimals: 18,
+    explorer: 'https://polygonscan.com',
+    eip1559: true,
+    nameRegistry: process.env.POLY_NAME_REGISTRY,
+    tokens: envList('POLY_PORTFOLIO_TOKENS', [
+      '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', // USDC
+      '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', // USDT
+      '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270' // WPOL
+    ]),
+    dex: {
+      wrappedNative: process.env.POLY_WRAPPED_NATIVE || '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
+      v2: {
+        router: process.env.POLY_V2_ROUTER || '0xedf6066a2b290C185783862C7F4776A2C8077AD1',
+        factory: process.env.POLY_V2_FACTORY || '0x9e5A52f57b3038F1B8EeE45F28b3C1967e22799C'
+      },
+      v3: {
+        router: process.env.POLY_V3_ROUTER || '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+        quoter: process.env.POLY_V3_QUOTER || '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+        factory: process.env.POLY_V3_FACTORY || '0x1F98431c8aD98523631AE4a59f267346ea31F984'
+      }
+    }
+  },
+  bsc: {
+    chainId: 56,
+    rpcs: envList('BSC_RPC', ['https://bsc-dataseed.bnbchain.org', 'https://bsc-rpc.publicnode.com']),
+    nativeSymbol: 'BNB',
+    nativeDecimals: 18,
+    explorer: 'https://bscscan.com',
+    eip1559: false,
+    nameRegistry: process.env.BSC_NAME_REGISTRY,
+    tokens: envList('BSC_PORTFOLIO_TOKENS', [
+      '0x55d398326f99059fF775485246999027B3197955', // USDT
+      '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', // USDC
+      '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c' // WBNB
+    ]),
+    dex: {
+      // PancakeSwap V2; its V3 router isn't SwapRouter02-compatible
+      wrappedNative: process.env.BSC_WRAPPED_NATIVE || '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
+      v2: {
+        router: process.env.BSC_V2_ROUTER || '0x10ED43C718714eb63d5aA57B78B54704E256024E',
+        factory: process.env.BSC_V2_FACTORY || '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73'
+      },
+      v3: {
+        router: process.env.BSC_V3_ROUTER,
+        quoter: process.env.BSC_V3_QUOTER,
+        factory: process.env.BSC_V3_FACTORY
+      }
+    }
   }
 };
 
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Validates one registry entry; throws on anything unusable
+function normalizeChain(name, cfg) {
+  if (!/^[a-z0-9-]+$/.test(name)) {
+    throw new Error(`invalid chain name: ${name}`);
+  }
+
+  const chainId = Number(cfg.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`${name}: chainId must be a positive integer`);
+  }
+
+  const rpcs = [].concat(cfg.rpcs ?? cfg.rpc ?? []);
+  if (rpcs.length === 0) {
+    throw new Error(`${name}: rpcs must be a non-empty list`);
+  }
+  for (const url of rpcs) {
+    if (!/^https?:\/\//.test(url)) {
+      throw new Error(`${name}: invalid rpc url ${url}`);
+    }
+  }
+
+  const nativeDecimals = cfg.nativeDecimals === undefined ? 18 : Number(cfg.nativeDecimals);
+  if (!Number.isInteger(nativeDecimals) || nativeDecimals < 0 || nativeDecimals > 36) {
+    throw new Error(`${name}: nativeDecimals must be an integer between 0 and 36`);
+  }
+
+  if (cfg.nameRegistry && !isAddress(cfg.nameRegistry)) {
+    throw new Error(`${name}: nameRegistry must be an address`);
+  }
+
+  // Multicall3 lives at the same address on nearly every EVM chain;
+  // null turns it off for chains where it isn't deployed
+  const multicall3 = cfg.multicall3 === undefined ? MULTICALL3_ADDRESS : cfg.multicall3;
+  if (multicall3 !== null && !isAddress(multicall3)) {
+    throw new Error(`${name}: multicall3 must be an address or null`);
+  }
+
+  const tokens = [].concat(cfg.tokens ?? []);
+  for (const token of tokens) {
+    if (!isAddress(token)) {
+      throw new Error(`${name}: invalid token address ${token}`);
+    }
+  }
+
+  return {
+    name,
+    chainId,
+    rpcs,
+    nativeSymbol: cfg.nativeSymbol || 'ETH',
+    nativeDecimals,
+    explorer: cfg.explorer || null,
+    eip1559: cfg.eip1559 !== false,
+    nameRegistry: cfg.nameRegistry ? getAddress(cfg.nameRegistry) : null,
+    multicall3: multicall3 && getAddress(multicall3),
+    tokens: tokens.map((token) => getAddress(token)),
+    dex: cfg.dex || null
+  };
+}
+
+// Optional JSON file of { name: { chainId, rpcs, ... } }. Entries for
+// a built-in chain are merged over its defaults, others are added.
+const CHAINS_FILE = process.env.EVM_CHAINS_FILE;
+
+function loadChainsFile() {
+  if (!CHAINS_FILE) return {};
+  return JSON.parse(fs.readFileSync(CHAINS_FILE, 'utf8'));
+}
+
+function buildRegistry() {
+  const fromFile = loadChainsFile();
+  const merged = { ...DEFAULT_CHAINS };
+
+  for (const [name, cfg] of Object.entries(fromFile)) {
+    merged[name] = { ...DEFAULT_CHAINS[name], ...cfg };
+  }
+
+  const registry = {};
+  for (const [name, cfg] of Object.entries(merged)) {
+    registry[name] = normalizeChain(name, cfg);
+  }
+  return registry;
+}
+
+// Mutated in place by the admin endpoints, so importers see changes
+export const CHAINS = buildRegistry();
+
 /* ===============================
    PROVIDER / WALLET HELPERS
 ================================ */
 
-function getProvider(chain = 'ethereum') {
-  const cfg = CHAINS[chain];
-  if (!cfg) throw new Error(`Unsupported chain: ${chain}`);
-  return new JsonRpcProvider(cfg.rpc, cfg.chainId);
-}
+const RPC_TIMEOUT_MS = Number(process.env.EVM_RPC_TIMEOUT_MS) || 15000;
+
+// index of the RPC that last answered, per chain
+const activeRpc = new Map();
+
+// RPC list starting from the one that worked last
+function rpcOrder(cfg) {
+  const start = (activeRpc.get(cfg.name) ?? 0) % cfg.rpcs.length;
+  return [...cfg.rpcs.slice(start), ...cfg.rpcs.slice(0, start)];
+}
+
+// ethers' known network for the chain id, with the chain's own name
+// registry in place of the built-in ENS one (or none at all)
+function networkFor(cfg) {
+  const known = Network.from(cfg.chainId);
+  const network = new Network(known.name, known.chainId);
+  for (const plugin of known.plugins) {
+    if (!(plugin instanceof EnsPlugin)) network.attachPlugin(plugin.clone());
+  }
+  if (cfg.nameRegistry) {
+    network.attachPlugin(new EnsPlugin(cfg.nameRegistry, cfg.chainId));
+  }
+  return network;
+}
+
+// JSON-RPC over the chain's RPC list: a transport failure (timeout,
+// connection error, non-2xx) moves on to the next URL. JSON-RPC errors
+// are real answers and are returned as-is.
+class FallbackRpcProvider extends JsonRpcProvider {
+  constructor(cfg) {
+    const network = networkFor(cfg);
+    super(cfg.rpcs[0], network, { staticNetwork: network });
+    this.chainConfig = cfg;
+  }
+
+  async _send(payload) {
+    const cfg = this.chainConfig;
+    let lastError;
+
+    for (const url of rpcOrder(cfg)) {
+      const request = new FetchRequest(url);
+      request.timeout = RPC_TIMEOUT_MS;
+      request.body = JSON.stringify(payload);
+      request.setHeader('content-type', 'application/json');
+
+      try {
+        const response = await request.send();
+        response.assertOk();
+        activeRpc.set(cfg.name, cfg.rpcs.indexOf(url));
+
+        const body = response.bodyJson;
+        return Array.isArray(body) ? body : [body];
+      } catch (e) {
+        lastError = e;
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+function getProvider(chain = 'ethereum') {
+  const cfg = CHAINS[chain];
+  if (!cfg) throw new Error(`Unsupported chain: ${chain}`);
+  return new FallbackRpcProvider(cfg);
+}
+
+// Fee fields for a send on `chain`: EIP-1559 caps, or a legacy gasPrice
+// on chains without a base fee market
+function feeFieldsFor(chain, feeData) {
+  if (CHAINS[chain].eip1559) {
+    return {
+      maxFeePerGas: feeData.maxFeePerGas ?? undefined,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ?? undefined
+    };
+  }
+  return { type: 0, gasPrice: feeData.gasPrice };
+}
+
+function loadWalletFromPrivateKey(pk, chain = 'ethereum') {
+  return new Wallet(pk, getProvider(chain));
+}
+
+/* ===============================
+   HD DERIVATION
+================================ */
+
+// `{index}` is replaced by the account index, so Ledger Live style
+// paths (m/44'/60'/{index}'/0/0) work as well as MetaMask's default
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/{index}";
+const MAX_ACCOUNT_INDEX = 2 ** 31 - 1;
+const MAX_ACCOUNT_RANGE = 50;
+
+function derivationPathFor(template, index) {
+  return template.replaceAll('{index}', index);
+}
+
+// { accountIndex, derivationPath, count } from a request body, or { error }
+function parseDerivation({ accountIndex = 0, derivationPath = DEFAULT_DERIVATION_PATH, count }) {
+  if (!Number.isInteger(accountIndex) || accountIndex < 0 || accountIndex > MAX_ACCOUNT_INDEX) {
+    return { error: `accountIndex must be an integer between 0 and ${MAX_ACCOUNT_INDEX}` };
+  }
+
+  if (typeof derivationPath !== 'string' || !/^m(\/\d+'?|\/\{index\}'?)+$/.test(derivationPath)) {
+    return { error: `invalid derivationPath: ${derivationPath}` };
+  }
+
+  if (count !== undefined) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_ACCOUNT_RANGE) {
+      return { error: `count must be an integer between 1 and ${MAX_ACCOUNT_RANGE}` };
+    }
+    if (count > 1 && !derivationPath.includes('{index}')) {
+      return { error: 'derivationPath needs an {index} placeholder to derive several accounts' };
+    }
+  }
+
+  return { accountIndex, derivationPath, count };
+}
+
+// Accounts accountIndex .. accountIndex + count - 1 of `mnemonic`
+function deriveAccounts(mnemonic, { accountIndex, derivationPath, count = 1 }) {
+  const root = HDNodeWallet.fromPhrase(mnemonic, undefined, 'm');
+  const accounts = [];
+
+  for (let index = accountIndex; index < accountIndex + count; index++) {
+    const path = derivationPathFor(derivationPath, index);
+    accounts.push({ index, path, wallet: root.derivePath(path) });
+  }
+
+  return accounts;
+}
+
+// Signing wallet from a request body: `privateKey`, `mnemonic` (with
+// optional accountIndex / derivationPath) or a V3 `keystore` + `password`.
+// Returns { wallet } or { error }. With chain null the wallet has no
+// provider, for routes that only sign and never touch an RPC.
+async function loadWalletFromKeys(body, chain = 'ethereum') {
+  const connect = (wallet) => (chain === null ? wallet : wallet.connect(getProvider(chain)));
+
+  if (body.privateKey) {
+    return { wallet: connect(new Wallet(body.privateKey)) };
+  }
+
+  if (body.keystore) {
+    if (!body.password) {
+      return { error: 'password required with keystore' };
+    }
+
+    try {
+      const wallet = await Wallet.fromEncryptedJson(keystoreJson(body.keystore), body.password);
+      return { wallet: connect(wallet) };
+    } catch (e) {
+      return { error: `could not decrypt keystore: ${e.shortMessage || e.message}` };
+    }
+  }
+
+  if (body.mnemonic) {
+    const derivation = parseDerivation(body);
+    if (derivation.error) return { error: derivation.error };
+
+    const [{ wallet }] = deriveAccounts(body.mnemonic, derivation);
+    return { wallet: connect(wallet) };
+  }
+
+  return { error: 'privateKey, mnemonic or keystore + password required' };
+}
+
+// Keystores arrive either as the JSON object or as its text
+function keystoreJson(keystore) {
+  return typeof keystore === 'string' ? keystore : JSON.stringify(keystore);
+}
+
+/* ===============================
+   NONCE MANAGER
+================================ */
+
+// `${chain}:${address}` -> { nextNonce, pending: Map(nonce -> tx), lock }
+const nonceStates = new Map();
+
+function nonceStateOf(chain, address) {
+  const key = `${chain}:${address.toLowerCase()}`;
+  if (!nonceStates.has(key)) {
+    nonceStates.set(key, { nextNonce: null, pending: new Map(), lock: Promise.resolve() });
+  }
+  return nonceStates.get(key);
+}
+
+// Runs `fn` once every earlier call for the same (chain, address) settled
+function withNonceLock(chain, address, fn) {
+  const state = nonceStateOf(chain, address);
+  const run = state.lock.then(() => fn(state));
+  state.lock = run.catch(() => {});
+  return run;
+}
+
+function trackPending(chain, state, tx, replaces = null) {
+  state.pending.set(tx.nonce, {
+    hash: tx.hash,
+    nonce: tx.nonce,
+    to: tx.to,
+    value: formatUnits(tx.value, CHAINS[chain].nativeDecimals),
+    type: tx.type,
+    maxFeePerGas: tx.maxFeePerGas?.toString() ?? null,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas?.toString() ?? null,
+    gasPrice: tx.type === 2 ? null : tx.gasPrice?.toString() ?? null,
+    replaces,
+    submittedAt: new Date().toISOString()
+  });
+}
+
+// Drops tracked txs whose nonce is already used by a mined tx
+async function prunePending(state, provider, address) {
+  const mined = await provider.getTransactionCount(address, 'latest');
+  for (const nonce of state.pending.keys()) {
+    if (nonce < mined) state.pending.delete(nonce);
+  }
+  return mined;
+}
+
+// Sends through `send(overrides)` with the next nonce for the wallet,
+// one at a time per (chain, address), so concurrent requests never
+// reuse or skip a nonce. The node's pending count is the floor; the
+// local counter covers txs it hasn't seen yet.
+function sendWithNonce(wallet, chain, send) {
+  return withNonceLock(chain, wallet.address, async (state) => {
+    const [fromNode] = await Promise.all([
+      wallet.provider.getTransactionCount(wallet.address, 'pending'),
+      prunePending(state, wallet.provider, wallet.address)
+    ]);
+    const nonce = Math.max(fromNode, state.nextNonce ?? 0);
+
+    // ethers would pick EIP-1559 fields whenever the node reports them
+    const overrides = { nonce };
+    if (!CHAINS[chain].eip1559) {
+      Object.assign(overrides, feeFieldsFor(chain, await wallet.provider.getFeeData()));
+    }
+
+    try {
+      const tx = await send(overrides);
+      state.nextNonce = nonce + 1;
+      trackPending(chain, state, tx);
+      return tx;
+    } catch (e) {
+      // Resync from the node next time
+      state.nextNonce = null;
+      throw e;
+    }
+  });
+}
+
+/* ===============================
+   SIMULATION
+================================ */
+
+// Readable reason for a failed call: a custom error from `iface`, else
+// Error(string) / Panic(uint256). Null when the node gave no revert data.
+function decodeRevert(e, iface = null) {
+  const data = e.data ?? e.info?.error?.data;
+  if (iface && isHexString(data) && data.length >= 10) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return `${parsed.name}(${parsed.args.join(', ')})`;
+    } catch {
+      // not one of the contract's errors
+    }
+  }
+  if (e.revert) return `${e.revert.name}(${e.revert.args.join(', ')})`;
+  return e.reason ?? null;
+}
+
+const REVERT_CODES = new Set(['CALL_EXCEPTION', 'INSUFFICIENT_FUNDS']);
+
+// eth_call of `request` as the wallet. { returnData } when it would
+// succeed, { error, revertReason } when it would revert.
+async function simulateTx(wallet, request, iface = null) {
+  try {
+    const returnData = await wallet.provider.call({ ...request, from: wallet.address });
+    return { returnData };
+  } catch (e) {
+    if (!REVERT_CODES.has(e.code)) throw e;
+    return { error: 'transaction would revert', revertReason: decodeRevert(e, iface) };
+  }
+}
+
+// Every state-changing send goes through here: simulate first (unless
+// the caller passes the simulation it already ran), then submit with a
+// managed nonce. { tx } or { error, revertReason }.
+async function submitTx(wallet, chain, request, iface = null, simulation = null) {
+  simulation ??= await simulateTx(wallet, request, iface);
+  if (simulation.error) return simulation;
+
+  const tx = await sendWithNonce(wallet, chain, (overrides) =>
+    wallet.sendTransaction({ ...overrides, ...request })
+  );
+  return { tx };
+}
+
+/* ===============================
+   GAS ORACLE
+================================ */
+
+const FEE_HISTORY_BLOCKS = 20;
+
+// Reward percentile of recent blocks each tier pays, and roughly how
+// many blocks a tx paying that tip waits to be included
+const GAS_TIERS = {
+  slow: { percentile: 10, blocks: 6 },
+  standard: { percentile: 50, blocks: 3 },
+  fast: { percentile: 90, blocks: 1 }
+};
+
+function medianOf(values) {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Next block's base fee and a tip per tier from eth_feeHistory. Falls
+// back to eth_gasPrice / eth_maxPriorityFeePerGas (one tip for every
+// tier) on nodes without eth_feeHistory.
+async function gasOracle(chain, provider) {
+  const { eip1559 } = CHAINS[chain];
+  const latest = await provider.getBlock('latest');
+  const tierNames = Object.keys(GAS_TIERS);
+
+  let history = null;
+  let oldest = null;
+  try {
+    [history, oldest] = await Promise.all([
+      provider.send('eth_feeHistory', [
+        toQuantity(FEE_HISTORY_BLOCKS),
+        toQuantity(latest.number),
+        tierNames.map((name) => GAS_TIERS[name].percentile)
+      ]),
+      provider.getBlock(Math.max(latest.number - FEE_HISTORY_BLOCKS, 0))
+    ]);
+  } catch {
+    // eth_feeHistory not supported
+  }
+
+  const feeData = await provider.getFeeData();
+  let baseFee = latest.baseFeePerGas ?? 0n;
+  const tips = {};
+
+  // Empty blocks report zero rewards and would drag every tier down
+  const rewards = (history?.reward ?? []).filter((_, i) => history.gasUsedRatio[i] > 0);
+
+  if (history) {
+    // The last entry is the base fee of the block after `latest`
+    baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+  }
+
+  tierNames.forEach((name, i) => {
+    tips[name] = rewards.length
+      ? medianOf(rewards.map((r) => BigInt(r[i])))
+      : feeData.maxPriorityFeePerGas ?? 0n;
+  });
+
+  const span = oldest ? latest.number - oldest.number : 0;
+  const blockTime = span > 0 ? (latest.timestamp - oldest.timestamp) / span : null;
+
+  const tiers = {};
+  for (const name of tierNames) {
+    const fees = eip1559
+      ? { maxFeePerGas: baseFee * 2n + tips[name], maxPriorityFeePerGas: tips[name] }
+      // Legacy chains still need at least what the node asks for
+      : {
+          type: 0,
+          gasPrice: baseFee + tips[name] > feeData.gasPrice ? baseFee + tips[name] : feeData.gasPrice
+        };
+
+    tiers[name] = {
+      fees,
+      estimatedWaitSeconds: blockTime === null ? null : Math.round(GAS_TIERS[name].blocks * blockTime)
+    };
+  }
+
+  return {
+    source: history ? 'feeHistory' : 'feeData',
+    blockNumber: latest.number,
+    baseFee,
+    blockTime,
+    tiers
+  };
+}
+
+function feesView(fees) {
+  return Object.fromEntries(
+    Object.entries(fees).map(([k, v]) => [k, typeof v === 'bigint' ? v.toString() : v])
+  );
+}
+
+function parseWei(value, name) {
+  try {
+    // BigInt('') is 0n, an empty field is not a fee of zero
+    if (typeof value === 'string' && !value.trim()) throw new Error('empty');
+    const wei = BigInt(value);
+    if (wei >= 0n) return { wei };
+  } catch {
+    // falls through to the error below
+  }
+  return { error: `${name} must be a non-negative integer in wei` };
+}
+
+// Fees for a send: explicit caps in wei (maxFeePerGas with an optional
+// maxPriorityFeePerGas, or gasPrice on legacy chains), else the
+// oracle's `speed` tier (standard by default)
+async function resolveFees(chain, provider, { speed, maxFeePerGas, maxPriorityFeePerGas, gasPrice } = {}) {
+  if (speed !== undefined && !GAS_TIERS[speed]) {
+    return { error: `speed must be one of ${Object.keys(GAS_TIERS).join(', ')}` };
+  }
+
+  const explicit = [maxFeePerGas, maxPriorityFeePerGas, gasPrice].some((v) => v !== undefined);
+  if (explicit && speed !== undefined) {
+    return { error: 'pass either speed or fee caps, not both' };
+  }
+
+  const oracle = await gasOracle(chain, provider);
+
+  if (!explicit) {
+    const tier = speed ?? 'standard';
+    return { speed: tier, fees: oracle.tiers[tier].fees, baseFee: oracle.baseFee };
+  }
+
+  if (!CHAINS[chain].eip1559) {
+    if (gasPrice === undefined) {
+      return { error: `gasPrice required on ${chain}` };
+    }
+    const price = parseWei(gasPrice, 'gasPrice');
+    if (price.error) return price;
+    return { speed: null, fees: { type: 0, gasPrice: price.wei }, baseFee: oracle.baseFee };
+  }
+
+  if (gasPrice !== undefined) {
+    return { error: `use maxFeePerGas / maxPriorityFeePerGas on ${chain}` };
+  }
+
+  if (maxFeePerGas === undefined) {
+    return { error: 'maxFeePerGas required' };
+  }
+
+  const maxFee = parseWei(maxFeePerGas, 'maxFeePerGas');
+  if (maxFee.error) return maxFee;
+
+  let priority;
+  if (maxPriorityFeePerGas === undefined) {
+    const standardTip = oracle.tiers.standard.fees.maxPriorityFeePerGas;
+    priority = { wei: standardTip < maxFee.wei ? standardTip : maxFee.wei };
+  } else {
+    priority = parseWei(maxPriorityFeePerGas, 'maxPriorityFeePerGas');
+    if (priority.error) return priority;
+  }
+
+  if (priority.wei > maxFee.wei) {
+    return { error: 'maxPriorityFeePerGas cannot exceed maxFeePerGas' };
+  }
+
+  return {
+    speed: null,
+    fees: { maxFeePerGas: maxFee.wei, maxPriorityFeePerGas: priority.wei },
+    baseFee: oracle.baseFee
+  };
+}
+
+// What `gasLimit` gas costs at these fees: expected at the current base
+// fee, and the most the sender can be charged (what the balance must cover)
+function gasCostOf(fees, baseFee, gasLimit) {
+  if (fees.gasPrice !== undefined) {
+    return { expected: gasLimit * fees.gasPrice, max: gasLimit * fees.gasPrice };
+  }
+  const effective = baseFee + fees.maxPriorityFeePerGas;
+  return {
+    expected: gasLimit * (effective < fees.maxFeePerGas ? effective : fees.maxFeePerGas),
+    max: gasLimit * fees.maxFeePerGas
+  };
+}
+
+// Fee quote in native units for a send response
+function feeQuoteView(chain, feeChoice, gasLimit) {
+  const { nativeSymbol, nativeDecimals } = CHAINS[chain];
+  const cost = gasCostOf(feeChoice.fees, feeChoice.baseFee, gasLimit);
+  return {
+    speed: feeChoice.speed,
+    gasLimit: gasLimit.toString(),
+    ...feesView(feeChoice.fees),
+    gasCost: formatUnits(cost.expected, nativeDecimals),
+    maxGasCost: formatUnits(cost.max, nativeDecimals),
+    symbol: nativeSymbol
+  };
+}
+
+// Gas estimate and fee quote for `request`, checking the wallet can pay
+// the fee cap. { gasLimit, fee } or { error, nativeBalance, fee }.
+async function quoteTx(wallet, chain, request, feeChoice) {
+  const [gasLimit, nativeBalance] = await Promise.all([
+    wallet.provider.estimateGas({ ...request, from: wallet.address }),
+    wallet.provider.getBalance(wallet.address)
+  ]);
+
+  const fee = feeQuoteView(chain, feeChoice, gasLimit);
+
+  if (nativeBalance < gasCostOf(feeChoice.fees, feeChoice.baseFee, gasLimit).max) {
+    return {
+      error: 'insufficient native balance for gas',
+      nativeBalance: formatUnits(nativeBalance, CHAINS[chain].nativeDecimals),
+      fee
+    };
+  }
+  return { gasLimit, fee };
+}
+
+/* ===============================
+   NAME RESOLUTION
+================================ */
+
+// `to` may be an address or a name (vitalik.eth, jesse.base.eth)
+// resolved through the chain's name registry
+async function resolveRecipient(chain, provider, to) {
+  if (isAddress(to)) return { address: getAddress(to), name: null };
+
+  if (typeof to !== 'string' || !to.includes('.')) {
+    return { error: 'invalid address' };
+  }
+
+  if (!CHAINS[chain].nameRegistry) {
+    return { error: `name resolution not supported on ${chain}` };
+  }
+
+  let address;
+  try {
+    address = await provider.resolveName(to);
+  } catch (e) {
+    // ENS normalization rejects the name
+    if (e.code !== 'INVALID_ARGUMENT') throw e;
+    return { error: `invalid name: ${to}` };
+  }
+
+  if (!address) return { error: `could not resolve ${to}`, unresolved: true };
+  return { address, name: to };
+}
+
+/* ===============================
+   CHAIN HEALTH / REGISTRY ADMIN
+================================ */
+
+const HEALTH_TIMEOUT_MS = 5000;
+
+async function rpcCall(url, method) {
+  const request = new FetchRequest(url);
+  request.timeout = HEALTH_TIMEOUT_MS;
+  request.body = JSON.stringify({ jsonrpc: '2.0', id: 1, method, params: [] });
+  request.setHeader('content-type', 'application/json');
+
+  const response = await request.send();
+  response.assertOk();
+  if (response.bodyJson.error) throw new Error(response.bodyJson.error.message);
+  return response.bodyJson.result;
+}
+
+// Only the host is reported, RPC paths often carry API keys
+async function probeRpc(cfg, url) {
+  const host = new URL(url).host;
+  try {
+    const started = Date.now();
+    const blockNumber = Number(await rpcCall(url, 'eth_blockNumber'));
+    const latencyMs = Date.now() - started;
+    const chainId = Number(await rpcCall(url, 'eth_chainId'));
+
+    if (chainId !== cfg.chainId) {
+      return { host, ok: false, error: `chainId ${chainId}, expected ${cfg.chainId}` };
+    }
+    return { host, ok: true, blockNumber, latencyMs };
+  } catch (e) {
+    return { host, ok: false, error: e.shortMessage || e.message };
+  }
+}
+
+async function probeChain(cfg) {
+  const rpcs = await Promise.all(cfg.rpcs.map(url => probeRpc(cfg, url)));
+  const healthy = rpcs.filter(r => r.ok);
+
+  return {
+    chainId: cfg.chainId,
+    ok: healthy.length > 0,
+    blockNumber: healthy.length ? Math.max(...healthy.map(r => r.blockNumber)) : null,
+    latencyMs: healthy.length ? Math.min(...healthy.map(r => r.latencyMs)) : null,
+    rpcs
+  };
+}
+
+// Admin routes are off unless EVM_ADMIN_TOKEN is set; callers send it
+// in the x-admin-token header
+function requireAdmin(req, res, next) {
+  const token = process.env.EVM_ADMIN_TOKEN;
+  if (!token) {
+    return res.status(403).json({ error: 'admin endpoints disabled (set EVM_ADMIN_TOKEN)' });
+  }
+
+  const given = Buffer.from(req.get('x-admin-token') || '');
+  const expected = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'invalid admin token' });
+  }
+
+  next();
+}
+
+// Registry entry without RPC urls (they may embed API keys)
+function publicChainView(cfg) {
+  const { rpcs, ...rest } = cfg;
+  return { ...rest, rpcCount: rpcs.length };
+}
+
+/* ===============================
+   ROUTES
+================================ */
+
+// Health
+router.get('/health', async (req, res) => {
+  try {
+    const names = Object.keys(CHAINS);
+    const results = await Promise.all(names.map(name => probeChain(CHAINS[name])));
+
+    res.json({
+      ok: true,
+      chains: Object.fromEntries(names.map((name, i) => [name, results[i]]))
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Chain registry
+router.get('/chains', (req, res) => {
+  res.json({
+    chains: Object.values(CHAINS).map(publicChainView)
+  });
+});
+
+// Forward (name -> address) or reverse (address -> primary name) lookup
+router.get('/names/:chain/:query', async (req, res) => {
+  try {
+    const { chain, query } = req.params;
+
+    const provider = getProvider(chain);
+
+    if (!CHAINS[chain].nameRegistry) {
+      return res.status(400).json({ error: `name resolution not supported on ${chain}` });
+    }
+
+    if (isAddress(query)) {
+      const address = getAddress(query);
+      // ethers only returns a primary name that resolves back to `address`
+      const name = await provider.lookupAddress(address);
+      if (!name) {
+        return res.status(404).json({ error: 'no primary name for address', address });
+      }
+      return res.json({ chain, lookup: 'reverse', address, name });
+    }
+
+    const resolved = await resolveRecipient(chain, provider, query);
+    if (resolved.error) {
+      return res.status(resolved.unresolved ? 404 : 400).json({ error: resolved.error });
+    }
+
+    res.json({ chain, lookup: 'forward', name: resolved.name, address: resolved.address });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Base fee and slow / standard / fast fee tiers (wei)
+router.get('/gas/:chain', async (req, res) => {
+  try {
+    const { chain } = req.params;
+
+    const provider = getProvider(chain);
+    const oracle = await gasOracle(chain, provider);
+
+    res.json({
+      chain,
+      eip1559: CHAINS[chain].eip1559,
+      source: oracle.source,
+      blockNumber: oracle.blockNumber,
+      baseFeePerGas: oracle.baseFee.toString(),
+      blockTimeSeconds: oracle.blockTime,
+      tiers: Object.fromEntries(
+        Object.entries(oracle.tiers).map(([name, tier]) => [name, {
+          ...feesView(tier.fees),
+          estimatedWaitSeconds: tier.estimatedWaitSeconds
+        }])
+      )
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Add a chain, or update fields of an existing one
+router.put('/admin/chains/:name', requireAdmin, (req, res) => {
+  try {
+    const { name } = req.params;
+
+    let cfg;
+    try {
+      cfg = normalizeChain(name, { ...CHAINS[name], ...req.body });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    CHAINS[name] = cfg;
+    activeRpc.delete(name);
+
+    res.json({
+      success: true,
+      chain: publicChainView(cfg)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.delete('/admin/chains/:name', requireAdmin, (req, res) => {
+  const { name } = req.params;
+
+  if (!CHAINS[name]) {
+    return res.status(404).json({ error: `Unsupported chain: ${name}` });
+  }
+
+  delete CHAINS[name];
+  activeRpc.delete(name);
+
+  res.json({ success: true, name });
+});
+
+// Create wallet
+router.post('/wallet/create', async (req, res) => {
+  try {
+    const derivation = parseDerivation({ count: 1, ...req.body, accountIndex: 0 });
+    if (derivation.error) {
+      return res.status(400).json({ error: derivation.error });
+    }
+
+    const mnemonic = Wallet.createRandom().mnemonic.phrase;
+    const accounts = deriveAccounts(mnemonic, derivation);
+    const [first] = accounts;
+
+    res.json({
+      address: first.wallet.address,
+      privateKey: first.wallet.privateKey,
+      mnemonic,
+      ...(derivation.count > 1 && {
+        accounts: accounts.map(({ index, path, wallet }) => ({
+          index,
+          path,
+          address: wallet.address,
+          privateKey: wallet.privateKey
+        }))
+      })
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Import via private key
+router.post('/wallet/import', async (req, res) => {
+  try {
+    const { privateKey, chain = 'ethereum' } = req.body;
+    if (!privateKey) {
+      return res.status(400).json({ error: 'privateKey required' });
+    }
+
+    const wallet = loadWalletFromPrivateKey(privateKey, chain);
+
+    res.json({
+      address: wallet.address,
+      chain
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Import via mnemonic. With `count`, lists that many accounts from
+// accountIndex on with their balances instead (no private keys).
+router.post('/wallet/import/mnemonic', async (req, res) => {
+  try {
+    const { mnemonic, chain = 'ethereum' } = req.body;
+    if (!mnemonic) {
+      return res.status(400).json({ error: 'mnemonic required' });
+    }
+
+    const derivation = parseDerivation(req.body);
+    if (derivation.error) {
+      return res.status(400).json({ error: derivation.error });
+    }
+
+    const provider = getProvider(chain);
+    const accounts = deriveAccounts(mnemonic, derivation);
+
+    if (derivation.count === undefined) {
+      const [{ index, path, wallet }] = accounts;
+
+      return res.json({
+        address: wallet.address,
+        privateKey: wallet.privateKey,
+        accountIndex: index,
+        path,
+        chain
+      });
+    }
+
+    const { nativeSymbol, nativeDecimals } = CHAINS[chain];
+    const balances = await Promise.all(
+      accounts.map(({ wallet }) => provider.getBalance(wallet.address))
+    );
+
+    res.json({
+      chain,
+      symbol: nativeSymbol,
+      accounts: accounts.map(({ index, path, wallet }, i) => ({
+        index,
+        path,
+        address: wallet.address,
+        balance: formatUnits(balances[i], nativeDecimals)
+      }))
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Encrypt into a Web3 Secret Storage (V3) keystore, the format MetaMask
+// and geth import. Takes any key loadWalletFromKeys accepts, so an
+// existing keystore can be re-encrypted under `newPassword`.
+router.post('/wallet/keystore/encrypt', async (req, res) => {
+  try {
+    const newPassword = req.body.keystore ? req.body.newPassword : req.body.password;
+
+    if (typeof newPassword !== 'string' || newPassword.length === 0) {
+      return res.status(400).json({
+        error: req.body.keystore ? 'newPassword required' : 'password required'
+      });
+    }
+
+    const { wallet, error } = await loadWalletFromKeys(req.body, null);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const keystore = JSON.parse(await wallet.encrypt(newPassword));
+
+    res.json({
+      address: wallet.address,
+      keystore
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/wallet/keystore/decrypt', async (req, res) => {
+  try {
+    const { keystore, password } = req.body;
+
+    if (!keystore || typeof password !== 'string') {
+      return res.status(400).json({ error: 'keystore, password required' });
+    }
+
+    let wallet;
+    try {
+      wallet = await Wallet.fromEncryptedJson(keystoreJson(keystore), password);
+    } catch (e) {
+      return res.status(400).json({ error: `could not decrypt keystore: ${e.shortMessage || e.message}` });
+    }
+
+    res.json({
+      address: wallet.address,
+      privateKey: wallet.privateKey,
+      // Only ethers-written keystores carry the phrase
+      ...(wallet.mnemonic && { mnemonic: wallet.mnemonic.phrase, path: wallet.path })
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Native balance
+router.get('/wallet/:address/balance', async (req, res) => {
+  try {
+    const { chain = 'ethereum' } = req.query;
+    const address = req.params.address;
+
+    if (!isAddress(address)) {
+      return res.status(400).json({ error: 'invalid address' });
+    }
+
+    const provider = getProvider(chain);
+    const bal = await provider.getBalance(address);
+    const { nativeSymbol, nativeDecimals } = CHAINS[chain];
+
+    res.json({
+      chain,
+      address,
+      balance: formatUnits(bal, nativeDecimals),
+      symbol: nativeSymbol
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Send native token (AUTO GAS + MAX SUPPORT)
+router.post('/wallet/:from/send', async (req, res) => {
+  try {
+    const { from } = req.params;
+    let { to, amount, chain = 'ethereum', gasLimit } = req.body;
+
+    if (!isAddress(from) || !to) {
+      return res.status(400).json({ error: 'invalid address' });
+    }
+
+    if (gasLimit != null && !/^[1-9]\d*$/.test(String(gasLimit))) {
+      return res.status(400).json({ error: 'gasLimit must be a positive integer' });
+    }
+
+    const { wallet, error } = await loadWalletFromKeys(req.body, chain);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (wallet.address.toLowerCase() !== from.toLowerCase()) {
+      return res.status(400).json({ error: 'privateKey mismatch' });
+    }
+
+    const provider = wallet.provider;
+
+    // ENS-style names resolve through the chain's registry
+    const recipient = await resolveRecipient(chain, provider, to);
+    if (recipient.error) {
+      return res.status(400).json({ error: recipient.error });
+    }
+    to = recipient.address;
+
+    /* ===============================
+       BALANCE
+    ================================ */
+
+    const balanceWei = await provider.getBalance(from);
+
+    if (balanceWei <= 0n) {
+      return res.status(400).json({ error: 'insufficient balance' });
+    }
+
+    /* ===============================
+       PREP TX (for gas estimate)
+    ================================ */
+
+    let valueWei = 0n;
+
+    // `speed` tier, or explicit maxFeePerGas / maxPriorityFeePerGas / gasPrice
+    const feeChoice = await resolveFees(chain, provider, req.body);
+    if (feeChoice.error) {
+      return res.status(400).json({ error: feeChoice.error });
+    }
+
+    const txForEstimate = {
+      from,
+      to,
+      value: 0n
+    };
+
+    let estimatedGas = gasLimit == null ? null : BigInt(gasLimit);
+    if (estimatedGas === null) {
+      try {
+        estimatedGas = await provider.estimateGas(txForEstimate);
+      } catch (e) {
+        // e.g. a contract recipient without a payable receive()
+        if (e.code !== 'CALL_EXCEPTION') throw e;
+        return res.status(400).json({
+          error: 'transaction would revert',
+          revertReason: decodeRevert(e)
+        });
+      }
+    }
+
+    const { fees } = feeChoice;
+    const { nativeSymbol, nativeDecimals } = CHAINS[chain];
+
+    // The node requires the balance to cover the fee cap, not just the
+    // expected fee, so that is what gets reserved
+    const gasCost = gasCostOf(fees, feeChoice.baseFee, estimatedGas).max;
+
+    /* ===============================
+       AMOUNT LOGIC
+       - "max" OR undefined = full balance - gas at the chosen fee cap
+       - else numeric (8 decimals)
+    ================================ */
+
+    if (!amount || amount === 'max') {
+      if (balanceWei <= gasCost) {
+        return res.status(400).json({ error: 'balance too low for gas' });
+      }
+
+      valueWei = balanceWei - gasCost;
+    } else {
+      // limit to the native token's decimals
+      const fixed = Number(amount).toFixed(nativeDecimals);
+      valueWei = parseUnits(fixed, nativeDecimals);
+
+      if (valueWei + gasCost > balanceWei) {
+        return res.status(400).json({
+          error: 'amount + gas exceeds balance'
+        });
+      }
+    }
+
+    /* ===============================
+       FINAL TX
+    ================================ */
+
+    const sent = await submitTx(wallet, chain, {
+      to,
+      value: valueWei,
+      gasLimit: estimatedGas,
+      ...fees
+    });
+    if (sent.error) {
+      return res.status(400).json({ error: sent.error, revertReason: sent.revertReason });
+    }
+    const { tx } = sent;
+
+    res.json({
+      chain,
+      from,
+      to,
+      toName: recipient.name,
+      sentAmount: formatUnits(valueWei, nativeDecimals),
+      symbol: nativeSymbol,
+      gasUsed: estimatedGas.toString(),
+      gasCost: formatUnits(gasCost, nativeDecimals),
+      fee: feeQuoteView(chain, feeChoice, estimatedGas),
+      txHash: tx.hash
+    });
+
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+
+/* ===============================
+   ERC20
+================================ */
+
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function transfer(address,uint256) returns (bool)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)',
+  'function allowance(address,address) view returns (uint256)',
+  'function approve(address,uint256) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)'
+];
+
+// Wallets and explorers treat anything this large as "unlimited"
+const UNLIMITED_THRESHOLD = MaxUint256 / 2n;
+
+function formatAllowance(raw, decimals) {
+  return {
+    allowance: raw >= UNLIMITED_THRESHOLD ? 'unlimited' : formatUnits(raw, decimals),
+    raw: raw.toString(),
+    unlimited: raw >= UNLIMITED_THRESHOLD
+  };
+}
+
+// ERC20 balance
+router.get('/token/:chain/:tokenAddress/balance/:owner', async (req, res) => {
+  try {
+    const { chain, tokenAddress, owner } = req.params;
+
+    if (!isAddress(tokenAddress) || !isAddress(owner)) {
+      return res.status(400).json({ error: 'invalid address' });
+    }
+
+    const provider = getProvider(chain);
+    const token = new Contract(tokenAddress, ERC20_ABI, provider);
+
+    const raw = await token.balanceOf(owner);
+    const dec = await token.decimals().catch(() => 18);
+
+    res.json({
+      chain,
+      tokenAddress,
+      owner,
+      balance: formatUnits(raw, dec)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// USDT-style tokens return nothing from transfer(); treat empty return
+// data as success and only reject an explicit `false`
+function transferReturnedTrue(iface, returnData) {
+  if (returnData === '0x') return true;
+  try {
+    return iface.decodeFunctionResult('transfer', returnData)[0] === true;
+  } catch {
+    return false;
+  }
+}
+
+// ERC20 transfer (FAST RESPONSE – DEX WALLET STYLE)
+// - amount "max" sends the whole token balance
+// - token and native (gas) balances are checked before sending
+// - dryRun returns the fee quote without broadcasting
+
+router.post('/token/:chain/:tokenAddress/transfer', async (req, res) => {
+  try {
+    const { chain, tokenAddress } = req.params;
+    const { amount, dryRun = false } = req.body;
+
+    if (!req.body.to || !amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'to, amount required'
+      });
+    }
+
+    if (!isAddress(tokenAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid address'
+      });
+    }
+
+    const { wallet, error } = await loadWalletFromKeys(req.body, chain);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const provider = wallet.provider;
+    const token = new Contract(tokenAddress, ERC20_ABI, wallet);
+
+    // ENS-style names resolve through the chain's registry
+    const recipient = await resolveRecipient(chain, provider, req.body.to);
+    if (recipient.error) {
+      return res.status(400).json({ success: false, error: recipient.error });
+    }
+    const to = recipient.address;
+
+    const feeChoice = await resolveFees(chain, provider, req.body);
+    if (feeChoice.error) {
+      return res.status(400).json({ success: false, error: feeChoice.error });
+    }
+
+    const [decimals, symbol, balance] = await Promise.all([
+      token.decimals(),
+      token.symbol().catch(() => null),
+      token.balanceOf(wallet.address)
+    ]);
+
+    /* ===============================
+       AMOUNT / TOKEN BALANCE
+    ================================ */
+
+    let value;
+    if (amount === 'max') {
+      if (balance === 0n) {
+        return res.status(400).json({ success: false, error: 'token balance is 0' });
+      }
+      value = balance;
+    } else {
+      try {
+        value = parseUnits(amount.toString(), decimals);
+      } catch {
+        return res.status(400).json({ success: false, error: 'invalid amount' });
+      }
+
+      if (value <= 0n) {
+        return res.status(400).json({ success: false, error: 'amount must be greater than 0' });
+      }
+
+      if (value > balance) {
+        return res.status(400).json({
+          success: false,
+          error: 'insufficient token balance',
+          balance: formatUnits(balance, decimals)
+        });
+      }
+    }
+
+    /* ===============================
+       SIMULATION
+    ================================ */
+
+    const request = await token.transfer.populateTransaction(to, value);
+    const simulation = await simulateTx(wallet, request, token.interface);
+
+    if (simulation.error) {
+      return res.status(400).json({ success: false, ...simulation });
+    }
+
+    if (!transferReturnedTrue(token.interface, simulation.returnData)) {
+      return res.status(400).json({ success: false, error: 'token transfer returned false' });
+    }
+
+    /* ===============================
+       FEE QUOTE / NATIVE BALANCE
+    ================================ */
+
+    const quote = await quoteTx(wallet, chain, request, feeChoice);
+    if (quote.error) {
+      return res.status(400).json({ success: false, ...quote });
+    }
+    const { gasLimit, fee } = quote;
+
+    const view = {
+      chain,
+      tokenAddress,
+      symbol,
+      from: wallet.address,
+      to,
+      toName: recipient.name,
+      amount: formatUnits(value, decimals),
+      fee
+    };
+
+    if (dryRun) {
+      return res.json({ success: true, status: 'simulated', ...view });
+    }
+
+    const sent = await submitTx(
+      wallet,
+      chain,
+      { ...request, gasLimit, ...feeChoice.fees },
+      token.interface,
+      simulation
+    );
+    if (sent.error) {
+      return res.status(400).json({ success: false, ...sent });
+    }
+
+    // ✅ CLEAN RESPONSE (NO BigInt)
+    res.json({
+      success: true,
+      status: 'submitted',
+      ...view,
+      txHash: sent.tx.hash
+    });
+
+  } catch (e) {
+    res.status(500).json({
+      success: false,
+      error: e.message
+    });
+  }
+});
+
+// ERC20 allowance
+router.get('/token/:chain/:tokenAddress/allowance/:owner/:spender', async (req, res) => {
+  try {
+    const { chain, tokenAddress, owner, spender } = req.params;
+
+    if (!isAddress(tokenAddress) || !isAddress(owner) || !isAddress(spender)) {
+      return res.status(400).json({ error: 'invalid address' });
+    }
+
+    const provider = getProvider(chain);
+    const token = new Contract(tokenAddress, ERC20_ABI, provider);
+
+    const raw = await token.allowance(owner, spender);
+    const dec = await token.decimals().catch(() => 18);
+
+    res.json({
+      chain,
+      tokenAddress,
+      owner,
+      spender,
+      ...formatAllowance(raw, dec)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Sets the allowance of `spender` and responds once submitted
+async function submitApproval(req, res, value) {
+  const { chain, tokenAddress } = req.params;
+  const { spender } = req.body;
+
+  const { wallet, error } = await loadWalletFromKeys(req.body, chain);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const feeChoice = await resolveFees(chain, wallet.provider, req.body);
+  if (feeChoice.error) {
+    return res.status(400).json({ success: false, error: feeChoice.error });
+  }
+
+  const token = new Contract(tokenAddress, ERC20_ABI, wallet);
+
+  const decimals = await token.decimals().catch(() => 18);
+  const sent = await submitTx(
+    wallet,
+    chain,
+    { ...(await token.approve.populateTransaction(spender, value)), ...feeChoice.fees },
+    token.interface
+  );
+  if (sent.error) {
+    return res.status(400).json({ success: false, ...sent });
+  }
+  const { tx } = sent;
+
+  res.json({
+    success: true,
+    status: 'submitted',
+    chain,
+    tokenAddress,
+    owner: wallet.address,
+    spender,
+    ...formatAllowance(value, decimals),
+    txHash: tx.hash
+  });
+}
+
+// ERC20 approve ("unlimited" or an exact amount)
+router.post('/token/:chain/:tokenAddress/approve', async (req, res) => {
+  try {
+    const { chain, tokenAddress } = req.params;
+    const { spender, amount } = req.body;
+
+    if (!spender || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'spender, amount required'
+      });
+    }
+
+    if (!isAddress(spender) || !isAddress(tokenAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid address'
+      });
+    }
+
+    let value = MaxUint256;
+    if (amount !== 'unlimited') {
+      const token = new Contract(tokenAddress, ERC20_ABI, getProvider(chain));
+      const decimals = await token.decimals();
+
+      try {
+        value = parseUnits(amount.toString(), decimals);
+      } catch {
+        return res.status(400).json({ success: false, error: 'invalid amount' });
+      }
+    }
+
+    await submitApproval(req, res, value);
+  } catch (e) {
+    res.status(500).json({
+      success: false,
+      error: e.message
+    });
+  }
+});
+
+// ERC20 revoke (allowance back to zero)
+router.post('/token/:chain/:tokenAddress/revoke', async (req, res) => {
+  try {
+    const { tokenAddress } = req.params;
+    const { spender } = req.body;
+
+    if (!spender) {
+      return res.status(400).json({
+        success: false,
+        error: 'spender required'
+      });
+    }
+
+    if (!isAddress(spender) || !isAddress(tokenAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid address'
+      });
+    }
+
+    await submitApproval(req, res, 0n);
+  } catch (e) {
+    res.status(500).json({
+      success: false,
+      error: e.message
+    });
+  }
+});
+
+
+/* ===============================
+   HISTORY (NATIVE + ERC20)
+================================ */
+
+// JSON-RPC has no per-address index, so history is paged by block range
+// and nextCursor (passed back as ?toBlock) walks back to genesis. Native
+// txs come from scanning each block, which keeps those pages small;
+// ?native=false reads only ERC20 Transfer logs, in pages as large as the
+// log scans elsewhere. Internal (contract-to-address) native transfers are
+// not visible this way.
+const HISTORY_DEFAULT_BLOCKS = 100;
+const HISTORY_MAX_BLOCKS = Number(process.env.EVM_HISTORY_MAX_BLOCKS) || 1000;
+const HISTORY_BLOCK_BATCH = 10;
+
+const transferTopic = new Interface(ERC20_ABI).getEvent('Transfer').topicHash;
+
+// `${chain}:${token}` -> { symbol, name, decimals }
+const tokenMetaCache = new Map();
+
+// Display callers get 18 when decimals() can't be read; `strict` callers
+// parse amounts with it, so for them the failure is thrown
+async function getTokenMeta(chain, tokenAddress, provider, { strict = false } = {}) {
+  const key = `${chain}:${tokenAddress.toLowerCase()}`;
+  if (tokenMetaCache.has(key)) return tokenMetaCache.get(key);
+
+  const token = new Contract(tokenAddress, ERC20_ABI, provider);
+  let complete = true;
+  const fallback = (value) => () => {
+    complete = false;
+    return value;
+  };
+
+  const [symbol, name, decimals] = await Promise.all([
+    token.symbol().catch(fallback(null)),
+    token.name().catch(fallback(null)),
+    strict ? token.decimals() : token.decimals().catch(fallback(18))
+  ]);
+  const meta = { symbol, name, decimals: Number(decimals) };
+
+  // A failed read may just be a flaky RPC, so fallbacks aren't cached
+  if (complete) tokenMetaCache.set(key, meta);
+  return meta;
+}
+
+function directionOf(address, from, to) {
+  const self = address.toLowerCase();
+  const isFrom = from?.toLowerCase() === self;
+  const isTo = to?.toLowerCase() === self;
+  if (isFrom && isTo) return 'self';
+  return isFrom ? 'sent' : 'received';
+}
+
+async function scanNativeTxs(provider, address, fromBlock, toBlock) {
+  const self = address.toLowerCase();
+  const found = [];
+
+  for (let start = toBlock; start >= fromBlock; start -= HISTORY_BLOCK_BATCH) {
+    const numbers = [];
+    for (let n = start; n > start - HISTORY_BLOCK_BATCH && n >= fromBlock; n--) {
+      numbers.push(n);
+    }
+
+    const blocks = await Promise.all(numbers.map(n => provider.getBlock(n, true)));
+
+    for (const block of blocks) {
+      if (!block) continue;
+      for (const tx of block.prefetchedTransactions) {
+        if (tx.from.toLowerCase() !== self && tx.to?.toLowerCase() !== self) continue;
+        found.push({
+          type: 'native',
+          hash: tx.hash,
+          blockNumber: block.number,
+          index: tx.index,
+          timestamp: block.timestamp,
+          from: tx.from,
+          to: tx.to,
+          rawValue: tx.value
+        });
+      }
+    }
+  }
+
+  return found;
+}
+
+async function scanTokenTransfers(provider, address, fromBlock, toBlock) {
+  const padded = zeroPadValue(address, 32);
+  const [sent, received] = await Promise.all([
+    getLogsChunked(provider, { topics: [transferTopic, padded] }, fromBlock, toBlock),
+    getLogsChunked(provider, { topics: [transferTopic, null, padded] }, fromBlock, toBlock)
+  ]);
+
+  // A self-transfer matches both queries
+  const byId = new Map();
+  for (const log of [...sent, ...received]) {
+    // ERC721 Transfer shares the signature but indexes the tokenId
+    if (log.topics.length !== 3) continue;
+    byId.set(`${log.transactionHash}:${log.index}`, log);
+  }
+
+  return [...byId.values()].map(log => ({
+    type: 'erc20',
+    hash: log.transactionHash,
+    blockNumber: log.blockNumber,
+    index: log.transactionIndex,
+    logIndex: log.index,
+    tokenAddress: log.address,
+    from: getAddress(dataSlice(log.topics[1], 12)),
+    to: getAddress(dataSlice(log.topics[2], 12)),
+    rawValue: BigInt(log.data)
+  }));
+}
+
+router.get('/wallet/:address/history', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { chain = 'ethereum' } = req.query;
+
+    if (!isAddress(address)) {
+      return res.status(400).json({ error: 'invalid address' });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 25, 1), 100);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const withNative = req.query.native !== 'false';
+
+    const provider = getProvider(chain);
+    const latest = await provider.getBlockNumber();
+    const { fromBlock, toBlock, nextCursor, error } = logScanWindow(
+      req.query,
+      latest,
+      withNative
+        ? { defaultBlocks: HISTORY_DEFAULT_BLOCKS, maxBlocks: HISTORY_MAX_BLOCKS }
+        : {}
+    );
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [nativeTxs, tokenTransfers] = await Promise.all([
+      withNative ? scanNativeTxs(provider, address, fromBlock, toBlock) : [],
+      scanTokenTransfers(provider, address, fromBlock, toBlock)
+    ]);
+
+    // A zero-value call that moved tokens is already listed as the transfer
+    const tokenHashes = new Set(tokenTransfers.map(t => t.hash));
+    const all = [
+      ...nativeTxs.filter(t => t.rawValue > 0n || !tokenHashes.has(t.hash)),
+      ...tokenTransfers
+    ].sort((a, b) =>
+      b.blockNumber - a.blockNumber ||
+      b.index - a.index ||
+      (b.logIndex ?? -1) - (a.logIndex ?? -1)
+    );
+    const page = all.slice(offset, offset + limit);
+
+    // Timestamps for log entries, fees for txs we sent
+    const blockTimes = new Map(nativeTxs.map(t => [t.blockNumber, t.timestamp]));
+    const receipts = new Map();
+
+    const transactions = [];
+    for (const entry of page) {
+      const direction = directionOf(address, entry.from, entry.to);
+
+      if (!blockTimes.has(entry.blockNumber)) {
+        const block = await provider.getBlock(entry.blockNumber);
+        blockTimes.set(entry.blockNumber, block.timestamp);
+      }
+
+      let fee = null;
+      if (direction !== 'received') {
+        if (!receipts.has(entry.hash)) {
+          receipts.set(entry.hash, await provider.getTransactionReceipt(entry.hash));
+        }
+        const receipt = receipts.get(entry.hash);
+        // Token transfers we didn't submit ourselves (e.g. transferFrom) cost us nothing
+        if (receipt.from.toLowerCase() === address.toLowerCase()) {
+          fee = formatUnits(receipt.fee, CHAINS[chain].nativeDecimals);
+        }
+      }
+
+      const item = {
+        type: entry.type,
+        hash: entry.hash,
+        blockNumber: entry.blockNumber,
+        timestamp: blockTimes.get(entry.blockNumber),
+        confirmations: latest - entry.blockNumber + 1,
+        direction,
+        from: entry.from,
+        to: entry.to,
+        fee
+      };
+
+      if (entry.type === 'native') {
+        item.symbol = CHAINS[chain].nativeSymbol;
+        item.value = formatUnits(entry.rawValue, CHAINS[chain].nativeDecimals);
+      } else {
+        const meta = await getTokenMeta(chain, entry.tokenAddress, provider);
+        item.tokenAddress = entry.tokenAddress;
+        item.symbol = meta.symbol;
+        item.value = formatUnits(entry.rawValue, meta.decimals);
+        item.logIndex = entry.logIndex;
+      }
+
+      transactions.push(item);
+    }
+
+    res.json({
+      chain,
+      address,
+      native: withNative,
+      fromBlock,
+      toBlock,
+      nextCursor,
+      limit,
+      offset,
+      total: all.length,
+      transactions
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+/* ===============================
+   APPROVAL SCAN
+================================ */
+
+// Public RPCs cap the block range of a single eth_getLogs call
+const LOGS_BLOCK_RANGE = Number(process.env.EVM_LOGS_BLOCK_RANGE) || 50000;
+
+// Log scans are paged so a request stays a few getLogs calls
+const LOGS_DEFAULT_BLOCKS = Number(process.env.EVM_LOGS_DEFAULT_BLOCKS) || 100000;
+const LOGS_MAX_BLOCKS = Number(process.env.EVM_LOGS_MAX_BLOCKS) || 1000000;
+
+const approvalTopic = new Interface(ERC20_ABI).getEvent('Approval').topicHash;
+
+async function getLogsChunked(provider, filter, fromBlock, toBlock) {
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += LOGS_BLOCK_RANGE) {
+    const end = Math.min(start + LOGS_BLOCK_RANGE - 1, toBlock);
+    logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+  }
+  return logs;
+}
+
+// One page of a scan walking back from ?toBlock (default latest) to
+// ?fromBlock (default genesis, or e.g. a token's deploy block), ?blocks
+// at a time. nextCursor is the ?toBlock of the next older page, null once
+// fromBlock is covered. Returns { fromBlock, toBlock, nextCursor } or
+// { error }.
+function logScanWindow(query, latest, { defaultBlocks = LOGS_DEFAULT_BLOCKS, maxBlocks = LOGS_MAX_BLOCKS } = {}) {
+  const parse = (name, fallback) => {
+    if (query[name] === undefined) return fallback;
+    const n = Number(query[name]);
+    return Number.isInteger(n) && n >= 0 ? n : null;
+  };
+
+  const lowest = parse('fromBlock', 0);
+  const highest = parse('toBlock', latest);
+  const blocks = parse('blocks', defaultBlocks);
+
+  if (lowest === null) return { error: 'invalid fromBlock' };
+  if (highest === null) return { error: 'invalid toBlock' };
+  if (blocks === null || blocks < 1 || blocks > maxBlocks) {
+    return { error: `blocks must be an integer between 1 and ${maxBlocks}` };
+  }
+
+  const toBlock = Math.min(highest, latest);
+  const fromBlock = Math.max(toBlock - blocks + 1, lowest);
+
+  return { fromBlock, toBlock, nextCursor: fromBlock > lowest ? fromBlock - 1 : null };
+}
+
+// Every non-zero allowance `address` has granted. Approval logs only tell
+// us which (token, spender) pairs were ever approved; transferFrom spends
+// allowances without an event, so the current value is read on-chain.
+// Paged by block range (see logScanWindow); a pair approved again in an
+// older page shows up there too.
+router.get('/wallet/:address/approvals', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { chain = 'ethereum' } = req.query;
+
+    if (!isAddress(address)) {
+      return res.status(400).json({ error: 'invalid address' });
+    }
+
+    const provider = getProvider(chain);
+    const latest = await provider.getBlockNumber();
+    const { fromBlock, toBlock, nextCursor, error } = logScanWindow(req.query, latest);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const logs = await getLogsChunked(
+      provider,
+      { topics: [approvalTopic, zeroPadValue(address, 32)] },
+      fromBlock,
+      toBlock
+    );
+
+    // token -> spender -> block of the last Approval
+    const pairs = new Map();
+    for (const log of logs) {
+      // ERC721 Approval shares the signature but indexes the tokenId
+      if (log.topics.length !== 3) continue;
+      const spender = getAddress(dataSlice(log.topics[2], 12));
+      const key = `${log.address}:${spender}`;
+      pairs.set(key, { tokenAddress: log.address, spender, lastApprovedBlock: log.blockNumber });
+    }
+
+    const approvals = [];
+    for (const pair of pairs.values()) {
+      const token = new Contract(pair.tokenAddress, ERC20_ABI, provider);
+
+      let raw;
+      try {
+        raw = await token.allowance(address, pair.spender);
+      } catch (e) {
+        approvals.push({ ...pair, error: `allowance read failed: ${e.shortMessage || e.message}` });
+        continue;
+      }
+      if (raw === 0n) continue;
+
+      const meta = await getTokenMeta(chain, pair.tokenAddress, provider);
+      approvals.push({
+        ...pair,
+        symbol: meta.symbol,
+        ...formatAllowance(raw, meta.decimals)
+      });
+    }
+
+    res.json({
+      chain,
+      address,
+      fromBlock,
+      toBlock,
+      nextCursor,
+      approvals
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+/* ===============================
+   PORTFOLIO (MULTICALL3)
+================================ */
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[])',
+  'function getEthBalance(address) view returns (uint256)',
+  'function getBlockNumber() view returns (uint256)'
+];
+
+const MAX_PORTFOLIO_TOKENS = 100;
+
+const erc20Iface = new Interface(ERC20_ABI);
+
+// Some early tokens (MKR, SAI) return bytes32 instead of string
+const bytes32MetaIface = new Interface([
+  'function symbol() view returns (bytes32)',
+  'function name() view returns (bytes32)'
+]);
+
+// Decoded single return value of one aggregate3 call, null when it
+// failed or returned something else
+function decodeCallResult(iface, method, result) {
+  if (!result.success || result.returnData === '0x') return null;
+  try {
+    return iface.decodeFunctionResult(method, result.returnData)[0];
+  } catch {
+    return null;
+  }
+}
+
+function decodeTokenString(method, result) {
+  const value = decodeCallResult(erc20Iface, method, result);
+  if (value !== null) return value;
+
+  const raw = decodeCallResult(bytes32MetaIface, method, result);
+  try {
+    return raw === null ? null : decodeBytes32String(raw);
+  } catch {
+    return null;
+  }
+}
+
+// Native + ERC20 balances of `owner` with one Multicall3 eth_call.
+// ?tokens=0x..,0x.. or the chain's configured `tokens` list. Token
+// metadata is only requested for tokens not in the metadata cache.
+router.get('/portfolio/:chain/:owner', async (req, res) => {
+  try {
+    const { chain, owner } = req.params;
+
+    if (!isAddress(owner)) {
+      return res.status(400).json({ error: 'invalid address' });
+    }
+
+    const provider = getProvider(chain);
+    const cfg = CHAINS[chain];
+
+    if (!cfg.multicall3) {
+      return res.status(400).json({ error: `multicall3 not configured on ${chain}` });
+    }
+
+    const requested = req.query.tokens
+      ? String(req.query.tokens).split(',').map(t => t.trim()).filter(Boolean)
+      : cfg.tokens;
+
+    const invalid = requested.find((token) => !isAddress(token));
+    if (invalid) {
+      return res.status(400).json({ error: `invalid token address ${invalid}` });
+    }
+
+    const tokens = [...new Set(requested.map((token) => getAddress(token)))];
+    if (tokens.length > MAX_PORTFOLIO_TOKENS) {
+      return res.status(400).json({ error: `at most ${MAX_PORTFOLIO_TOKENS} tokens per request` });
+    }
+
+    /* ===============================
+       ONE AGGREGATED CALL
+    ================================ */
+
+    const multicall = new Contract(cfg.multicall3, MULTICALL3_ABI, provider);
+    const call = (target, iface, method, args = []) => ({
+      target,
+      allowFailure: true,
+      callData: iface.encodeFunctionData(method, args)
+    });
+
+    const calls = [
+      call(cfg.multicall3, multicall.interface, 'getBlockNumber'),
+      call(cfg.multicall3, multicall.interface, 'getEthBalance', [owner])
+    ];
+
+    const plan = tokens.map((tokenAddress) => {
+      const key = `${chain}:${tokenAddress.toLowerCase()}`;
+      const cached = tokenMetaCache.get(key) ?? null;
+      const first = calls.length;
+
+      calls.push(call(tokenAddress, erc20Iface, 'balanceOf', [owner]));
+      if (!cached) {
+        calls.push(
+          call(tokenAddress, erc20Iface, 'decimals'),
+          call(tokenAddress, erc20Iface, 'symbol'),
+          call(tokenAddress, erc20Iface, 'name')
+        );
+      }
+      return { tokenAddress, key, cached, first };
+    });
+
+    let results;
+    try {
+      results = await multicall.aggregate3.staticCall(calls);
+    } catch (e) {
+      // Empty return data: nothing deployed at that address
+      if (e.code !== 'BAD_DATA') throw e;
+      return res.status(400).json({ error: `multicall3 not deployed at ${cfg.multicall3} on ${chain}` });
+    }
+
+    const blockNumber = decodeCallResult(multicall.interface, 'getBlockNumber', results[0]);
+    const nativeRaw = decodeCallResult(multicall.interface, 'getEthBalance', results[1]);
+
+    /* ===============================
+       DECODE
+    ================================ */
+
+    const items = plan.map(({ tokenAddress, key, cached, first }) => {
+      let meta = cached;
+
+      if (!meta) {
+        const decimals = decodeCallResult(erc20Iface, 'decimals', results[first + 1]);
+        if (decimals === null) {
+          return { tokenAddress, error: 'not an ERC20 token' };
+        }
+
+        meta = {
+          symbol: decodeTokenString('symbol', results[first + 2]),
+          name: decodeTokenString('name', results[first + 3]),
+          decimals: Number(decimals)
+        };
+        // Same rule as getTokenMeta: a failed sub-call isn't cached
+        if (meta.symbol !== null && meta.name !== null) tokenMetaCache.set(key, meta);
+      }
+
+      const raw = decodeCallResult(erc20Iface, 'balanceOf', results[first]);
+      if (raw === null) {
+        return { tokenAddress, ...meta, error: 'balanceOf failed' };
+      }
+
+      return {
+        tokenAddress,
+        ...meta,
+        balance: formatUnits(raw, meta.decimals),
+        raw: raw.toString()
+      };
+    });
+
+    const nativeMeta = { symbol: cfg.nativeSymbol, decimals: cfg.nativeDecimals };
+
+    res.json({
+      chain,
+      owner,
+      blockNumber: Number(blockNumber),
+      native: nativeRaw === null
+        ? { ...nativeMeta, error: 'getEthBalance failed' }
+        : {
+          ...nativeMeta,
+          balance: formatUnits(nativeRaw, cfg.nativeDecimals),
+          raw: nativeRaw.toString()
+        },
+      tokens: items
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+/* ===============================
+   NFTS (ERC-721 / ERC-1155)
+================================ */
+
+const ERC165_ABI = [
+  'function supportsInterface(bytes4) view returns (bool)'
+];
+
+const ERC721_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function ownerOf(uint256) view returns (address)',
+  'function tokenURI(uint256) view returns (string)',
+  'function tokenOfOwnerByIndex(address,uint256) view returns (uint256)',
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function safeTransferFrom(address,address,uint256)',
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'
+];
+
+const ERC1155_ABI = [
+  'function balanceOfBatch(address[],uint256[]) view returns (uint256[])',
+  'function uri(uint256) view returns (string)',
+  'function safeTransferFrom(address,address,uint256,uint256,bytes)',
+  'function safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)',
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'
+];
+
+const NFT_INTERFACE_IDS = {
+  erc721: '0x80ac58cd',
+  erc721Metadata: '0x5b5e139f',
+  erc721Enumerable: '0x780e9d63',
+  erc1155: '0xd9b67a26',
+  erc1155MetadataUri: '0x0e89341c'
+};
+
+const erc1155Iface = new Interface(ERC1155_ABI);
+const transferSingleTopic = erc1155Iface.getEvent('TransferSingle').topicHash;
+const transferBatchTopic = erc1155Iface.getEvent('TransferBatch').topicHash;
+
+const MAX_NFTS_PER_REQUEST = 50;
+const METADATA_TIMEOUT_MS = 8000;
+const IPFS_GATEWAY = process.env.EVM_IPFS_GATEWAY || 'https://ipfs.io/ipfs/';
+
+// ERC-165 probe. A contract only counts as ERC-165 if it claims
+// 0x01ffc9a7 and denies 0xffffffff; otherwise its answers mean nothing.
+async function detectNftInterfaces(provider, address) {
+  const contract = new Contract(address, ERC165_ABI, provider);
+  const supports = (id) => contract.supportsInterface(id).catch(() => false);
+
+  const [erc165, invalid] = await Promise.all([supports('0x01ffc9a7'), supports('0xffffffff')]);
+  const interfaces = { erc165: erc165 === true && invalid === false };
+
+  const names = Object.keys(NFT_INTERFACE_IDS);
+  const results = interfaces.erc165
+    ? await Promise.all(names.map((name) => supports(NFT_INTERFACE_IDS[name])))
+    : names.map(() => false);
+  names.forEach((name, i) => { interfaces[name] = results[i] === true; });
+
+  const standard = interfaces.erc721 ? 'erc721' : interfaces.erc1155 ? 'erc1155' : null;
+  return { standard, interfaces };
+}
+
+// Token ids or amounts from a comma-separated list or an array; null
+// on anything that is not a non-negative integer
+function parseUintList(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  try {
+    const ids = list.map((id) => BigInt(String(id).trim()));
+    return ids.every((id) => id >= 0n) ? ids : null;
+  } catch {
+    return null;
+  }
+}
+
+// Loopback, private, link-local (cloud metadata), CGNAT and other
+// non-routable ranges a token URI must not reach
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => NON_PUBLIC_RANGES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => NON_PUBLIC_RANGES.addSubnet(prefix, bits, 'ipv6'));
+
+const isPublicAddress = (address) =>
+  !NON_PUBLIC_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Checked at connect time, so a rebinding DNS answer can't slip through
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (!addresses.every((a) => isPublicAddress(a.address))) {
+      return callback(new Error(`${hostname} resolves to a non-public address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// https for token URIs, http only if the operator's gateway uses it
+const metadataGetUrl = {
+  https: FetchRequest.createGetUrlFunc({ agent: new https.Agent({ lookup: publicOnlyLookup }) }),
+  http: FetchRequest.createGetUrlFunc({ agent: new http.Agent({ lookup: publicOnlyLookup }) })
+};
+
+// Used for every metadata fetch, gateway URLs included: the path after
+// the gateway comes from the token contract. IP literals skip the lookup
+// and redirects would go out without this agent, so both are checked here.
+async function publicOnlyGetUrl(req, signal) {
+  const host = new URL(req.url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new Error(`${host} is not a public address`);
+  }
+
+  const getUrl = req.url.startsWith('http:') ? metadataGetUrl.http : metadataGetUrl.https;
+  const response = await getUrl(req, signal);
+  if (response.statusCode >= 300 && response.statusCode < 400) {
+    throw new Error('token uri redirects are not followed');
+  }
+  return response;
+}
+
+// Only https, ipfs:// (through the gateway) and inline data: URIs are
+// fetched; anything else could point the server at internal hosts
+function metadataUrlOf(uri) {
+  if (uri.startsWith('ipfs://')) {
+    return IPFS_GATEWAY + uri.slice('ipfs://'.length).replace(/^ipfs\//, '');
+  }
+  if (uri.startsWith('https://') || uri.startsWith('data:')) return uri;
+  return null;
+}
+
+async function fetchNftMetadata(uri) {
+  if (!uri) return { metadata: null, metadataError: 'no token uri' };
+
+  const url = metadataUrlOf(uri);
+  if (!url) return { metadata: null, metadataError: 'unsupported token uri scheme' };
+
+  try {
+    const request = new FetchRequest(url);
+    request.timeout = METADATA_TIMEOUT_MS;
+    request.getUrlFunc = publicOnlyGetUrl;
+    const response = await request.send();
+    response.assertOk();
+
+    const metadata = response.bodyJson;
+    // Images are usually ipfs:// too
+    const imageUrl = typeof metadata?.image === 'string' ? metadataUrlOf(metadata.image) : null;
+    return { metadata, imageUrl, metadataError: null };
+  } catch (e) {
+    return { metadata: null, metadataError: e.shortMessage ?? e.message };
+  }
+}
+
+// Token URI of one NFT; ERC-1155 `{id}` becomes the 64-char hex id
+async function tokenUriOf(contract, standard, tokenId) {
+  if (standard === 'erc721') {
+    return contract.tokenURI(tokenId).catch(() => null);
+  }
+  const uri = await contract.uri(tokenId).catch(() => null);
+  return uri?.replace('{id}', tokenId.toString(16).padStart(64, '0')) ?? null;
+}
+
+// Ids `owner` received per Transfer / TransferSingle / TransferBatch
+// logs, most recent first. Ownership still has to be checked on-chain.
+async function receivedTokenIds(provider, address, standard, owner, fromBlock, toBlock) {
+  const topics = standard === 'erc721'
+    ? [transferTopic, null, zeroPadValue(owner, 32)]
+    : [[transferSingleTopic, transferBatchTopic], null, null, zeroPadValue(owner, 32)];
+
+  const logs = await getLogsChunked(provider, { address, topics }, fromBlock, toBlock);
+
+  const ids = [];
+  for (const log of logs.reverse()) {
+    if (standard === 'erc721') {
+      // ERC20 Transfer shares the signature but doesn't index the value
+      if (log.topics.length === 4) ids.push(BigInt(log.topics[3]));
+    } else {
+      const parsed = erc1155Iface.parseLog(log);
+      ids.push(...(parsed.name === 'TransferSingle' ? [parsed.args.id] : parsed.args.ids));
+    }
+  }
+  return [...new Set(ids)];
+}
+
+// ERC-165 interfaces of a contract and which NFT standard it implements
+router.get('/nft/:chain/:contract/standard', async (req, res) => {
+  try {
+    const { chain, contract } = req.params;
+
+    if (!isAddress(contract)) {
+      return res.status(400).json({ error: 'invalid address' });
+    }
+
+    const provider = getProvider(chain);
+    const detected = await detectNftInterfaces(provider, contract);
+
+    res.json({ chain, contract, ...detected });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// NFTs `owner` holds in `contract`, with token URIs and metadata.
+// ?ids=1,2 checks just those ids; otherwise ERC-721 Enumerable is
+// read directly and anything else is found from transfer logs, one block
+// page at a time (see logScanWindow). ?metadata=false skips fetching
+// metadata.
+router.get('/nft/:chain/:contract/owned/:owner', async (req, res) => {
+  try {
+    const { chain, contract, owner } = req.params;
+    const withMetadata = req.query.metadata !== 'false';
+
+    if (!isAddress(contract) || !isAddress(owner)) {
+      return res.status(400).json({ error: 'invalid address' });
+    }
+
+    const limit = req.query.limit === undefined ? MAX_NFTS_PER_REQUEST : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NFTS_PER_REQUEST) {
+      return res.status(400).json({
+        error: `limit must be an integer between 1 and ${MAX_NFTS_PER_REQUEST}`
+      });
+    }
+
+    let ids = null;
+    if (req.query.ids !== undefined) {
+      ids = parseUintList(req.query.ids);
+      if (!ids) {
+        return res.status(400).json({ error: 'ids must be a comma-separated list of token ids' });
+      }
+    }
+
+    const provider = getProvider(chain);
+    const { standard, interfaces } = await detectNftInterfaces(provider, contract);
+
+    if (!standard) {
+      return res.status(400).json({ error: 'contract does not report ERC-721 or ERC-1155 via ERC-165' });
+    }
+
+    const nft = new Contract(contract, standard === 'erc721' ? ERC721_ABI : ERC1155_ABI, provider);
+    let scanned = null;
+
+    if (!ids && !(standard === 'erc721' && interfaces.erc721Enumerable)) {
+      const latest = await provider.getBlockNumber();
+      const { fromBlock, toBlock, nextCursor, error } = logScanWindow(req.query, latest);
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      ids = await receivedTokenIds(provider, contract, standard, owner, fromBlock, toBlock);
+      scanned = { fromBlock, toBlock, nextCursor };
+    }
+
+    /* ===============================
+       OWNERSHIP
+    ================================ */
+
+    // [{ tokenId, balance }]
+    let owned;
+    let balance;
+
+    if (standard === 'erc721') {
+      balance = await nft.balanceOf(owner);
+
+      if (ids) {
+        const owners = await Promise.all(ids.map((id) => nft.ownerOf(id).catch(() => null)));
+        owned = ids
+          .filter((_, i) => owners[i] && sameAddress(owners[i], owner))
+          .map((tokenId) => ({ tokenId, balance: 1n }));
+      } else {
+        const count = balance < BigInt(limit) ? Number(balance) : limit;
+        const enumerated = await Promise.all(
+          Array.from({ length: count }, (_, i) => nft.tokenOfOwnerByIndex(owner, i))
+        );
+        owned = enumerated.map((tokenId) => ({ tokenId, balance: 1n }));
+      }
+    } else {
+      const balances = ids.length
+        ? await nft.balanceOfBatch(ids.map(() => owner), ids)
+        : [];
+      owned = ids
+        .map((tokenId, i) => ({ tokenId, balance: balances[i] }))
+        .filter((t) => t.balance > 0n);
+      balance = BigInt(owned.length);
+    }
+
+    /* ===============================
+       URIS / METADATA
+    ================================ */
+
+    const tokens = await Promise.all(owned.slice(0, limit).map(async ({ tokenId, balance: held }) => {
+      const tokenUri = await tokenUriOf(nft, standard, tokenId);
+      return {
+        tokenId: tokenId.toString(),
+        balance: held.toString(),
+        tokenUri,
+        ...(withMetadata && await fetchNftMetadata(tokenUri))
+      };
+    }));
+
+    res.json({
+      chain,
+      contract,
+      owner,
+      standard,
+      // ERC-721: NFTs held; ERC-1155: distinct ids held among those checked
+      balance: balance.toString(),
+      tokens,
+      ...(scanned && { scanned })
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// safeTransferFrom for ERC-721, single or batch transfers for ERC-1155
+// ({ tokenIds, amounts }). Same keys / fee / dryRun handling as the
+// ERC20 transfer route.
+router.post('/nft/:chain/:contract/transfer', async (req, res) => {
+  try {
+    const { chain, contract } = req.params;
+    const { tokenId, tokenIds, amount, amounts, data = '0x', dryRun = false } = req.body;
+
+    if (!req.body.to || (tokenId === undefined && tokenIds === undefined)) {
+      return res.status(400).json({ success: false, error: 'to, tokenId or tokenIds required' });
+    }
+
+    if (!isAddress(contract)) {
+      return res.status(400).json({ success: false, error: 'invalid address' });
+    }
+
+    if (!isHexString(data)) {
+      return res.status(400).json({ success: false, error: 'data must be hex' });
+    }
+
+    const ids = parseUintList(tokenIds ?? [tokenId]);
+    if (!ids || ids.length === 0) {
+      return res.status(400).json({ success: false, error: 'invalid token id' });
+    }
+
+    const { wallet, error } = await loadWalletFromKeys(req.body, chain);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const provider = wallet.provider;
+
+    const recipient = await resolveRecipient(chain, provider, req.body.to);
+    if (recipient.error) {
+      return res.status(400).json({ success: false, error: recipient.error });
+    }
+    const to = recipient.address;
+
+    const feeChoice = await resolveFees(chain, provider, req.body);
+    if (feeChoice.error) {
+      return res.status(400).json({ success: false, error: feeChoice.error });
+    }
+
+    const { standard } = await detectNftInterfaces(provider, contract);
+    if (!standard) {
+      return res.status(400).json({
+        success: false,
+        error: 'contract does not report ERC-721 or ERC-1155 via ERC-165'
+      });
+    }
+
+    const nft = new Contract(contract, standard === 'erc721' ? ERC721_ABI : ERC1155_ABI, wallet);
+    let request;
+    let values;
+
+    if (standard === 'erc721') {
+      if (tokenIds !== undefined) {
+        return res.status(400).json({ success: false, error: 'batch transfers are ERC-1155 only' });
+      }
+
+      const holder = await nft.ownerOf(ids[0]).catch(() => null);
+      if (!holder || !sameAddress(holder, wallet.address)) {
+        return res.status(400).json({ success: false, error: `not the owner of token ${ids[0]}` });
+      }
+
+      request = await nft['safeTransferFrom(address,address,uint256)'].populateTransaction(
+        wallet.address, to, ids[0]
+      );
+    } else {
+      values = parseUintList(amounts ?? [amount ?? 1]);
+      if (!values || values.length !== ids.length || values.some((v) => v === 0n)) {
+        return res.status(400).json({
+          success: false,
+          error: 'amounts must be positive integers, one per token id'
+        });
+      }
+
+      const held = await nft.balanceOfBatch(ids.map(() => wallet.address), ids);
+      const short = ids.findIndex((_, i) => held[i] < values[i]);
+      if (short !== -1) {
+        return res.status(400).json({
+          success: false,
+          error: `insufficient balance of token ${ids[short]}`,
+          balance: held[short].toString()
+        });
+      }
+
+      request = tokenIds === undefined
+        ? await nft.safeTransferFrom.populateTransaction(wallet.address, to, ids[0], values[0], data)
+        : await nft.safeBatchTransferFrom.populateTransaction(wallet.address, to, ids, values, data);
+    }
+
+    // Catches recipients that don't accept NFTs (onERC721Received etc.)
+    const simulation = await simulateTx(wallet, request, nft.interface);
+    if (simulation.error) {
+      return res.status(400).json({ success: false, ...simulation });
+    }
+
+    const quote = await quoteTx(wallet, chain, request, feeChoice);
+    if (quote.error) {
+      return res.status(400).json({ success: false, ...quote });
+    }
+
+    const view = {
+      chain,
+      contract,
+      standard,
+      from: wallet.address,
+      to,
+      toName: recipient.name,
+      tokenIds: ids.map(String),
+      ...(values && { amounts: values.map(String) }),
+      fee: quote.fee
+    };
+
+    if (dryRun) {
+      return res.json({ success: true, status: 'simulated', ...view });
+    }
+
+    const sent = await submitTx(
+      wallet,
+      chain,
+      { ...request, gasLimit: quote.gasLimit, ...feeChoice.fees },
+      nft.interface,
+      simulation
+    );
+    if (sent.error) {
+      return res.status(400).json({ success: false, ...sent });
+    }
+
+    res.json({
+      success: true,
+      status: 'submitted',
+      ...view,
+      txHash: sent.tx.hash
+    });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+
+/* ===============================
+   SWAPS (UNISWAP V2 / V3)
+================================ */
+
+const V2_FACTORY_ABI = [
+  'function getPair(address,address) view returns (address)'
+];
+
+const V2_PAIR_ABI = [
+  'function getReserves() view returns (uint112,uint112,uint32)',
+  'function token0() view returns (address)'
+];
+
+const V2_ROUTER_ABI = [
+  'function getAmountsOut(uint256,address[]) view returns (uint256[])',
+  'function swapExactTokensForTokens(uint256,uint256,address[],address,uint256) returns (uint256[])',
+  'function swapExactETHForTokens(uint256,address[],address,uint256) payable returns (uint256[])',
+  'function swapExactTokensForETH(uint256,uint256,address[],address,uint256) returns (uint256[])'
+];
+
+const V3_FACTORY_ABI = [
+  'function getPool(address,address,uint24) view returns (address)'
+];
+
+const V3_POOL_ABI = [
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, uint8, bool)'
+];
+
+const V3_QUOTER_ABI = [
+  'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96)) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)'
+];
+
+const V3_ROUTER_ABI = [
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) payable returns (uint256)',
+  'function unwrapWETH9(uint256,address) payable',
+  'function multicall(uint256 deadline, bytes[] data) payable returns (bytes[])'
+];
+
+const V2_FEE = 997n; // per 1000
+const V3_FEE_TIERS = [100, 500, 3000, 10000];
+const Q192 = 2n ** 192n;
+
+// SwapRouter02 recipient meaning "keep it in the router" (for unwrapping)
+const V3_ROUTER_SELF = '0x0000000000000000000000000000000000000002';
+
+const MAX_SLIPPAGE_BPS = 5000;
+
+// How long a swap waits for its token approval to be mined
+const SWAP_APPROVAL_TIMEOUT_MS = Number(process.env.EVM_SWAP_APPROVAL_TIMEOUT_MS) || 120000;
+
+// "native" stands for the chain's coin and is routed via its wrapped token
+const isNative = (token) => typeof token === 'string' && token.toLowerCase() === 'native';
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Best V2 route, direct or through the wrapped native token.
+// `midAmountOut` is what the same input would get at the current price
+// (fees included), used for price impact.
+async function quoteV2(provider, dex, tokenIn, tokenOut, amountIn) {
+  const factory = new Contract(dex.v2.factory, V2_FACTORY_ABI, provider);
+  const router = new Contract(dex.v2.router, V2_ROUTER_ABI, provider);
+
+  const paths = [[tokenIn, tokenOut]];
+  const via = dex.wrappedNative;
+  if (via && !sameAddress(tokenIn, via) && !sameAddress(tokenOut, via)) {
+    paths.push([tokenIn, via, tokenOut]);
+  }
+
+  let best = null;
+  for (const path of paths) {
+    let midAmountOut = amountIn;
+    let routable = true;
+
+    for (let i = 0; i < path.length - 1; i++) {
+      const pairAddress = await factory.getPair(path[i], path[i + 1]);
+      if (pairAddress === ZeroAddress) {
+        routable = false;
+        break;
+      }
+
+      const pair = new Contract(pairAddress, V2_PAIR_ABI, provider);
+      const [[reserve0, reserve1], token0] = await Promise.all([pair.getReserves(), pair.token0()]);
+      const [reserveIn, reserveOut] = sameAddress(token0, path[i])
+        ? [reserve0, reserve1]
+        : [reserve1, reserve0];
+
+      if (reserveIn === 0n || reserveOut === 0n) {
+        routable = false;
+        break;
+      }
+
+      midAmountOut = midAmountOut * V2_FEE * reserveOut / (reserveIn * 1000n);
+    }
+
+    if (!routable) continue;
+
+    // Ask the router itself so forks with a different fee still quote right
+    const amounts = await router.getAmountsOut(amountIn, path);
+    const amountOut = amounts[amounts.length - 1];
+
+    if (amountOut > 0n && (!best || amountOut > best.amountOut)) {
+      best = { version: 'v2', path, amountOut, midAmountOut };
+    }
+  }
+
+  return best;
+}
+
+// Best single-pool V3 route across the standard fee tiers
+async function quoteV3(provider, dex, tokenIn, tokenOut, amountIn) {
+  const factory = new Contract(dex.v3.factory, V3_FACTORY_ABI, provider);
+  const quoter = new Contract(dex.v3.quoter, V3_QUOTER_ABI, provider);
+  const zeroForOne = BigInt(tokenIn) < BigInt(tokenOut);
+
+  let best = null;
+  for (const fee of V3_FEE_TIERS) {
+    const poolAddress = await factory.getPool(tokenIn, tokenOut, fee);
+    if (poolAddress === ZeroAddress) continue;
+
+    const pool = new Contract(poolAddress, V3_POOL_ABI, provider);
+
+    let sqrtPriceX96, amountOut;
+    try {
+      [[sqrtPriceX96], [amountOut]] = await Promise.all([
+        pool.slot0(),
+        quoter.quoteExactInputSingle.staticCall({
+          tokenIn,
+          tokenOut,
+          amountIn,
+          fee,
+          sqrtPriceLimitX96: 0n
+        })
+      ]);
+    } catch {
+      // Uninitialized pool or not enough liquidity
+      continue;
+    }
+
+    // sqrtPriceX96^2 / 2^192 is token1 per token0
+    const amountInAfterFee = amountIn * (1_000_000n - BigInt(fee)) / 1_000_000n;
+    const priceX192 = sqrtPriceX96 * sqrtPriceX96;
+    const midAmountOut = zeroForOne
+      ? amountInAfterFee * priceX192 / Q192
+      : amountInAfterFee * Q192 / priceX192;
+
+    if (amountOut > 0n && (!best || amountOut > best.amountOut)) {
+      best = { version: 'v3', path: [tokenIn, tokenOut], fees: [fee], amountOut, midAmountOut };
+    }
+  }
+
+  return best;
+}
+
+// Percentage lost to moving the price, fees excluded
+function priceImpactOf(route) {
+  if (route.midAmountOut === 0n || route.amountOut >= route.midAmountOut) return 0;
+  return Number((route.midAmountOut - route.amountOut) * 1_000_000n / route.midAmountOut) / 10_000;
+}
+
+async function tokenDecimalsAndSymbol(chain, token, provider) {
+  if (isNative(token)) {
+    return { symbol: CHAINS[chain].nativeSymbol, decimals: CHAINS[chain].nativeDecimals };
+  }
+  return getTokenMeta(chain, token, provider, { strict: true });
+}
+
+// Validates a swap request and finds the best route.
+// Returns { error } when the request can't be quoted.
+async function prepareSwap(chain, { tokenIn, tokenOut, amountIn, version }) {
+  if (!tokenIn || !tokenOut || !amountIn) {
+    return { error: 'tokenIn, tokenOut, amountIn required' };
+  }
+
+  for (const token of [tokenIn, tokenOut]) {
+    if (!isNative(token) && !isAddress(token)) {
+      return { error: `invalid token: ${token}` };
+    }
+  }
+
+  if (version !== undefined && !['v2', 'v3'].includes(version)) {
+    return { error: 'version must be v2 or v3' };
+  }
+
+  const provider = getProvider(chain);
+  const dex = CHAINS[chain].dex || {};
+  const hasV2 = Boolean(dex.v2?.router && dex.v2?.factory);
+  const hasV3 = Boolean(dex.v3?.router && dex.v3?.quoter && dex.v3?.factory);
+
+  if ((isNative(tokenIn) || isNative(tokenOut)) && !dex.wrappedNative) {
+    return { error: `no wrapped native token configured on ${chain}` };
+  }
+
+  const pathIn = isNative(tokenIn) ? dex.wrappedNative : getAddress(tokenIn);
+  const pathOut = isNative(tokenOut) ? dex.wrappedNative : getAddress(tokenOut);
+
+  if (sameAddress(pathIn, pathOut)) {
+    return { error: 'tokenIn and tokenOut must differ' };
+  }
+
+  if ((version === 'v2' && !hasV2) || (version === 'v3' && !hasV3) || (!hasV2 && !hasV3)) {
+    return { error: `no ${version || 'DEX'} contracts configured on ${chain}` };
+  }
+
+  let metaIn;
+  let metaOut;
+  try {
+    metaIn = await tokenDecimalsAndSymbol(chain, tokenIn, provider);
+    metaOut = await tokenDecimalsAndSymbol(chain, tokenOut, provider);
+  } catch (e) {
+    return { error: `could not read token decimals: ${e.shortMessage || e.message}` };
+  }
+
+  let amountInRaw;
+  try {
+    amountInRaw = parseUnits(amountIn.toString(), metaIn.decimals);
+  } catch {
+    return { error: 'invalid amount' };
+  }
+
+  if (amountInRaw <= 0n) {
+    return { error: 'amountIn must be positive' };
+  }
+
+  const quotes = [];
+  if (hasV2 && version !== 'v3') quotes.push(await quoteV2(provider, dex, pathIn, pathOut, amountInRaw));
+  if (hasV3 && version !== 'v2') quotes.push(await quoteV3(provider, dex, pathIn, pathOut, amountInRaw));
+
+  const route = quotes
+    .filter(Boolean)
+    .reduce((best, q) => (!best || q.amountOut > best.amountOut ? q : best), null);
+
+  if (!route) {
+    return { error: `no liquidity for ${tokenIn} -> ${tokenOut} on ${chain}` };
+  }
+
+  return { provider, dex, route, amountInRaw, metaIn, metaOut };
+}
+
+function swapQuoteView(chain, body, { route, metaIn, metaOut }) {
+  return {
+    chain,
+    tokenIn: body.tokenIn,
+    tokenOut: body.tokenOut,
+    symbolIn: metaIn.symbol,
+    symbolOut: metaOut.symbol,
+    amountIn: body.amountIn.toString(),
+    amountOut: formatUnits(route.amountOut, metaOut.decimals),
+    priceImpact: priceImpactOf(route),
+    route: {
+      version: route.version,
+      path: route.path,
+      ...(route.fees && { fees: route.fees })
+    }
+  };
+}
+
+// Swap quote
+router.get('/swap/:chain/quote', async (req, res) => {
+  try {
+    const { chain } = req.params;
+    const prepared = await prepareSwap(chain, req.query);
+
+    if (prepared.error) {
+      return res.status(400).json({ error: prepared.error });
+    }
+
+    res.json(swapQuoteView(chain, req.query, prepared));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Swap execute: approves the router if needed, then swaps with
+// amountOutMin = quote - slippage and a deadline
+router.post('/swap/:chain/execute', async (req, res) => {
+  try {
+    const { chain } = req.params;
+    const {
+      tokenIn,
+      tokenOut,
+      recipient,
+      slippageBps = 50,
+      deadlineSeconds = 1200,
+      approve = 'exact'
+    } = req.body;
+
+    if (!Number.isInteger(slippageBps) || slippageBps < 0 || slippageBps > MAX_SLIPPAGE_BPS) {
+      return res.status(400).json({
+        success: false,
+        error: `slippageBps must be an integer between 0 and ${MAX_SLIPPAGE_BPS}`
+      });
+    }
+
+    if (!Number.isInteger(deadlineSeconds) || deadlineSeconds <= 0) {
+      return res.status(400).json({ success: false, error: 'deadlineSeconds must be a positive integer' });
+    }
+
+    if (!['exact', 'unlimited'].includes(approve)) {
+      return res.status(400).json({ success: false, error: 'approve must be exact or unlimited' });
+    }
+
+    if (recipient !== undefined && !isAddress(recipient)) {
+      return res.status(400).json({ success: false, error: 'invalid address' });
+    }
+
+    const { wallet, error } = await loadWalletFromKeys(req.body, chain);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const feeChoice = await resolveFees(chain, wallet.provider, req.body);
+    if (feeChoice.error) {
+      return res.status(400).json({ success: false, error: feeChoice.error });
+    }
+
+    const prepared = await prepareSwap(chain, req.body);
+
+    if (prepared.error) {
+      return res.status(400).json({ success: false, error: prepared.error });
+    }
+
+    const { dex, route, amountInRaw, metaOut } = prepared;
+    const to = recipient || wallet.address;
+    const amountOutMin = route.amountOut * BigInt(10_000 - slippageBps) / 10_000n;
+    const deadline = Math.floor(Date.now() / 1000) + deadlineSeconds;
+    const routerAddress = route.version === 'v2' ? dex.v2.router : dex.v3.router;
+
+    /* ===============================
+       APPROVAL
+    ================================ */
+
+    let approvalTxHash = null;
+
+    if (!isNative(tokenIn)) {
+      const token = new Contract(tokenIn, ERC20_ABI, wallet);
+      const current = await token.allowance(wallet.address, routerAddress);
+
+      if (current < amountInRaw) {
+        const sentApproval = await submitTx(
+          wallet,
+          chain,
+          {
+            ...(await token.approve.populateTransaction(
+              routerAddress,
+              approve === 'unlimited' ? MaxUint256 : amountInRaw
+            )),
+            ...feeChoice.fees
+          },
+          token.interface
+        );
+        if (sentApproval.error) {
+          return res.status(400).json({ success: false, ...sentApproval });
+        }
+        const approval = sentApproval.tx;
+        approvalTxHash = approval.hash;
+
+        // The swap can't be estimated until the allowance is mined; if
+        // that takes too long the client retries once it has confirmed
+        try {
+          await approval.wait(1, SWAP_APPROVAL_TIMEOUT_MS);
+        } catch (e) {
+          if (e.code !== 'TIMEOUT') throw e;
+
+          return res.status(202).json({
+            success: false,
+            error: 'approval not mined yet, retry the swap once it confirms',
+            approvalTxHash
+          });
+        }
+      }
+    }
+
+    /* ===============================
+       SWAP
+    ================================ */
+
+    let request;
+    let iface;
+
+    if (route.version === 'v2') {
+      const v2 = new Contract(dex.v2.router, V2_ROUTER_ABI, wallet);
+      iface = v2.interface;
+
+      if (isNative(tokenIn)) {
+        request = await v2.swapExactETHForTokens.populateTransaction(
+          amountOutMin, route.path, to, deadline, { value: amountInRaw }
+        );
+      } else if (isNative(tokenOut)) {
+        request = await v2.swapExactTokensForETH.populateTransaction(
+          amountInRaw, amountOutMin, route.path, to, deadline
+        );
+      } else {
+        request = await v2.swapExactTokensForTokens.populateTransaction(
+          amountInRaw, amountOutMin, route.path, to, deadline
+        );
+      }
+    } else {
+      const v3 = new Contract(dex.v3.router, V3_ROUTER_ABI, wallet);
+      iface = v3.interface;
+      const unwrap = isNative(tokenOut);
+
+      // SwapRouter02 only enforces a deadline through multicall
+      const calls = [
+        v3.interface.encodeFunctionData('exactInputSingle', [{
+          tokenIn: route.path[0],
+          tokenOut: route.path[1],
+          fee: route.fees[0],
+          recipient: unwrap ? V3_ROUTER_SELF : to,
+          amountIn: amountInRaw,
+          amountOutMinimum: amountOutMin,
+          sqrtPriceLimitX96: 0n
+        }])
+      ];
+
+      if (unwrap) {
+        calls.push(v3.interface.encodeFunctionData('unwrapWETH9', [amountOutMin, to]));
+      }
+
+      request = await v3.multicall.populateTransaction(deadline, calls, {
+        value: isNative(tokenIn) ? amountInRaw : 0n
+      });
+    }
+
+    const sent = await submitTx(wallet, chain, { ...request, ...feeChoice.fees }, iface);
+    if (sent.error) {
+      return res.status(400).json({ success: false, ...sent, approvalTxHash });
+    }
+    const { tx } = sent;
+
+    res.json({
+      success: true,
+      status: 'submitted',
+      ...swapQuoteView(chain, req.body, prepared),
+      from: wallet.address,
+      to,
+      slippageBps,
+      amountOutMin: formatUnits(amountOutMin, metaOut.decimals),
+      deadline,
+      approvalTxHash,
+      txHash: tx.hash
+    });
+  } catch (e) {
+    res.status(500).json({
+      success: false,
+      error: e.message
+    });
+  }
+});
+
+
+/* ===============================
+   TRANSACTION STATUS
+================================ */
+
+const MAX_WAIT_CONFIRMATIONS = 64;
+const DEFAULT_WAIT_TIMEOUT_MS = 120000;
+const MAX_WAIT_TIMEOUT_MS = 600000;
+const WAIT_POLL_MS = 2000;
+
+// Replays a reverted tx as eth_call on the state just before its block.
+// Needs the node to still have that state; null when it can't tell.
+async function revertReasonOf(provider, tx, blockNumber) {
+  try {
+    await provider.call({
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit,
+      blockTag: blockNumber - 1
+    });
+    return null;
+  } catch (e) {
+    return decodeRevert(e);
+  }
+}
+
+// Polls until `hash` has `confirmations` blocks on top (reverted txs
+// count as mined). False when `timeout` ms pass first.
+async function waitForConfirmations(provider, hash, confirmations, timeout) {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const [receipt, latest] = await Promise.all([
+      provider.getTransactionReceipt(hash),
+      provider.getBlockNumber()
+    ]);
+
+    if (receipt && latest - receipt.blockNumber + 1 >= confirmations) return true;
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return false;
+    await new Promise(r => setTimeout(r, Math.min(WAIT_POLL_MS, remaining)));
+  }
+}
+
+async function txStatus(chain, provider, hash) {
+  const { nativeDecimals } = CHAINS[chain];
+  const [tx, receipt, latest] = await Promise.all([
+    provider.getTransaction(hash),
+    provider.getTransactionReceipt(hash),
+    provider.getBlockNumber()
+  ]);
+
+  if (!tx && !receipt) {
+    return { hash, status: 'not_found' };
+  }
+
+  const view = {
+    hash,
+    from: tx?.from ?? receipt.from,
+    to: tx?.to ?? receipt.to,
+    nonce: tx?.nonce ?? null,
+    value: tx ? formatUnits(tx.value, nativeDecimals) : null,
+    type: tx?.type ?? null
+  };
+
+  if (!receipt) {
+    // A mined tx with the same nonce means this one can never be mined
+    const minedNonce = await provider.getTransactionCount(tx.from, 'latest');
+    return {
+      ...view,
+      status: minedNonce > tx.nonce ? 'dropped' : 'pending',
+      blockNumber: null,
+      confirmations: 0
+    };
+  }
+
+  const reverted = receipt.status === 0;
+
+  return {
+    ...view,
+    status: reverted ? 'reverted' : 'success',
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    confirmations: latest - receipt.blockNumber + 1,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.gasPrice.toString(),
+    fee: formatUnits(receipt.fee, nativeDecimals),
+    contractAddress: receipt.contractAddress,
+    revertReason: reverted && tx
+      ? await revertReasonOf(provider, tx, receipt.blockNumber)
+      : null
+  };
+}
+
+// Tx status; with ?wait=N holds the response until N confirmations
+// (or ?timeout ms), then reports whatever the status is at that point
+router.get('/tx/:chain/:hash', async (req, res) => {
+  try {
+    const { chain, hash } = req.params;
+
+    if (!isHexString(hash, 32)) {
+      return res.status(400).json({ error: 'invalid tx hash' });
+    }
+
+    const wait = req.query.wait === undefined ? 0 : Number(req.query.wait);
+    if (!Number.isInteger(wait) || wait < 0 || wait > MAX_WAIT_CONFIRMATIONS) {
+      return res.status(400).json({
+        error: `wait must be an integer between 0 and ${MAX_WAIT_CONFIRMATIONS}`
+      });
+    }
+
+    const timeout = Math.min(
+      Math.max(Number(req.query.timeout) || DEFAULT_WAIT_TIMEOUT_MS, 1),
+      MAX_WAIT_TIMEOUT_MS
+    );
+
+    const provider = getProvider(chain);
+    const timedOut = wait > 0
+      ? !(await waitForConfirmations(provider, hash, wait, timeout))
+      : false;
+
+    const status = await txStatus(chain, provider, hash);
+
+    res.json({
+      chain,
+      ...status,
+      explorerUrl: CHAINS[chain].explorer ? `${CHAINS[chain].explorer}/tx/${hash}` : null,
+      ...(wait > 0 && { waitedFor: wait, timedOut })
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+
+/* ===============================
+   SPEED UP / CANCEL
+================================ */
+
+// Nodes only accept a same-nonce replacement paying at least ~10% more
+const MIN_REPLACEMENT_BUMP_PERCENT = 10;
+const MAX_REPLACEMENT_BUMP_PERCENT = 500;
+
+// Txs sent through this server that aren't mined yet
+router.get('/wallet/:address/pending', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { chain = 'ethereum' } = req.query;
+
+    if (!isAddress(address)) {
+      return res.status(400).json({ error: 'invalid address' });
+    }
+
+    const provider = getProvider(chain);
+    const state = nonceStateOf(chain, address);
+    const minedNonce = await prunePending(state, provider, address);
+
+    res.json({
+      chain,
+      address,
+      minedNonce,
+      nextNonce: state.nextNonce,
+      pending: [...state.pending.values()].sort((a, b) => a.nonce - b.nonce)
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Re-sends pending tx `hash` at the same nonce with bumped fees.
+// `build(tx)` gives the replacement's to / value / data / gasLimit.
+async function replacePending(req, res, build) {
+  const { chain, hash } = req.params;
+  const { bumpPercent = MIN_REPLACEMENT_BUMP_PERCENT } = req.body;
+
+  if (!isHexString(hash, 32)) {
+    return res.status(400).json({ success: false, error: 'invalid tx hash' });
+  }
+
+  if (
+    !Number.isInteger(bumpPercent) ||
+    bumpPercent < MIN_REPLACEMENT_BUMP_PERCENT ||
+    bumpPercent > MAX_REPLACEMENT_BUMP_PERCENT
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: `bumpPercent must be an integer between ${MIN_REPLACEMENT_BUMP_PERCENT} and ${MAX_REPLACEMENT_BUMP_PERCENT}`
+    });
+  }
+
+  const { wallet, error } = await loadWalletFromKeys(req.body, chain);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const provider = wallet.provider;
+
+  const [tx, receipt] = await Promise.all([
+    provider.getTransaction(hash),
+    provider.getTransactionReceipt(hash)
+  ]);
+
+  if (!tx) {
+    return res.status(404).json({ success: false, error: 'transaction not found' });
+  }
+
+  if (receipt) {
+    return res.status(400).json({ success: false, error: 'transaction already mined' });
+  }
+
+  if (tx.from.toLowerCase() !== wallet.address.toLowerCase()) {
+    return res.status(400).json({ success: false, error: 'privateKey mismatch' });
+  }
+
+  // The original isn't mined, so `latest` is the state the replacement runs on
+  const request = build(tx);
+  const simulation = await simulateTx(wallet, request);
+  if (simulation.error) {
+    return res.status(400).json({ success: false, ...simulation });
+  }
+
+  const bump = (v) => v * BigInt(100 + bumpPercent) / 100n;
+  const atLeast = (v, floor) => (floor !== null && floor > v ? floor : v);
 
-function loadWalletFromPrivateKey(pk, chain = 'ethereum') {
-  return new Wallet(pk, getProvider(chain));
-}
+  const replacement = await withNonceLock(chain, wallet.address, async (state) => {
+    // Never go below what the network asks for right now
+    const feeData = await provider.getFeeData();
 
-/* ===============================
-   ROUTES
-================================ */
+    let fees;
+    if (tx.type === 2) {
+      const maxPriorityFeePerGas = atLeast(bump(tx.maxPriorityFeePerGas), feeData.maxPriorityFeePerGas);
+      const maxFeePerGas = atLeast(
+        atLeast(bump(tx.maxFeePerGas), feeData.maxFeePerGas),
+        maxPriorityFeePerGas
+      );
+      fees = { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+    } else {
+      fees = { type: 0, gasPrice: atLeast(bump(tx.gasPrice), feeData.gasPrice) };
+    }
+
+    const sent = await wallet.sendTransaction({
+      ...request,
+      ...fees,
+      nonce: tx.nonce
+    });
+    trackPending(chain, state, sent, hash);
+    return sent;
+  });
 
-// Health
-router.get('/health', (req, res) => {
   res.json({
-    ok: true,
-    chains: Object.keys(CHAINS)
+    success: true,
+    status: 'submitted',
+    chain,
+    from: wallet.address,
+    nonce: replacement.nonce,
+    replacedHash: hash,
+    maxFeePerGas: replacement.maxFeePerGas?.toString() ?? null,
+    maxPriorityFeePerGas: replacement.maxPriorityFeePerGas?.toString() ?? null,
+    gasPrice: replacement.type === 2 ? null : replacement.gasPrice.toString(),
+    txHash: replacement.hash
   });
+}
+
+// Speed up: same tx, same nonce, higher fees
+router.post('/tx/:chain/:hash/speedup', async (req, res) => {
+  try {
+    await replacePending(req, res, (tx) => ({
+      to: tx.to,
+      value: tx.value,
+      data: tx.data,
+      gasLimit: tx.gasLimit
+    }));
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
 });
 
-// Create wallet
-router.post('/wallet/create', async (req, res) => {
+// Cancel: zero-value self-send at the same nonce
+router.post('/tx/:chain/:hash/cancel', async (req, res) => {
   try {
-    const wallet = Wallet.createRandom();
-    res.json({
-      address: wallet.address,
-      privateKey: wallet.privateKey,
-      mnemonic: wallet.mnemonic.phrase
-    });
+    await replacePending(req, res, (tx) => ({
+      to: tx.from,
+      value: 0n,
+      data: '0x',
+      gasLimit: 21000n
+    }));
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(500).json({ success: false, error: e.message });
   }
 });
 
-// Import via private key
-router.post('/wallet/import', async (req, res) => {
+
+/* ===============================
+   SIGNING (personal_sign / EIP-712)
+================================ */
+
+// `message` is UTF-8 text unless encoding is "hex"
+function messageBytes(message, encoding) {
+  return encoding === 'hex' ? getBytes(message) : message;
+}
+
+// ethers derives the domain type itself and rejects it in `types`
+function typesWithoutDomain(types) {
+  const { EIP712Domain, ...rest } = types;
+  return rest;
+}
+
+function recoveredView(recovered, address) {
+  return {
+    recovered,
+    ...(address && { address, valid: recovered.toLowerCase() === address.toLowerCase() })
+  };
+}
+
+// personal_sign
+router.post('/sign/message', async (req, res) => {
   try {
-    const { privateKey, chain = 'ethereum' } = req.body;
-    if (!privateKey) {
-      return res.status(400).json({ error: 'privateKey required' });
+    const { message, encoding = 'utf8' } = req.body;
+
+    if (typeof message !== 'string') {
+      return res.status(400).json({ error: 'message required' });
     }
 
-    const wallet = loadWalletFromPrivateKey(privateKey, chain);
+    if (encoding === 'hex' && !isHexString(message)) {
+      return res.status(400).json({ error: 'message is not hex' });
+    }
+
+    const { wallet, error } = await loadWalletFromKeys(req.body, null);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const signature = await wallet.signMessage(messageBytes(message, encoding));
 
     res.json({
       address: wallet.address,
-      chain
+      message,
+      signature
     });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// Import via mnemonic
-router.post('/wallet/import/mnemonic', async (req, res) => {
+router.post('/verify/message', async (req, res) => {
   try {
-    const { mnemonic, chain = 'ethereum' } = req.body;
-    if (!mnemonic) {
-      return res.status(400).json({ error: 'mnemonic required' });
+    const { message, signature, address, encoding = 'utf8' } = req.body;
+
+    if (typeof message !== 'string' || !signature) {
+      return res.status(400).json({ error: 'message, signature required' });
     }
 
-    const provider = getProvider(chain);
-    const wallet = Wallet.fromPhrase(mnemonic).connect(provider);
+    if (address && !isAddress(address)) {
+      return res.status(400).json({ error: 'invalid address' });
+    }
 
-    res.json({
-      address: wallet.address,
-      privateKey: wallet.privateKey,
-      chain
-    });
+    let recovered;
+    try {
+      recovered = verifyMessage(messageBytes(message, encoding), signature);
+    } catch (e) {
+      return res.status(400).json({ error: e.shortMessage || e.message });
+    }
+
+    res.json(recoveredView(recovered, address));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// Native balance
-router.get('/wallet/:address/balance', async (req, res) => {
+// EIP-712 signTypedData
+router.post('/sign/typed-data', async (req, res) => {
   try {
-    const { chain = 'ethereum' } = req.query;
-    const address = req.params.address;
+    const { domain, types, message } = req.body;
 
-    if (!isAddress(address)) {
-      return res.status(400).json({ error: 'invalid address' });
+    if (!domain || !types || !message) {
+      return res.status(400).json({ error: 'domain, types, message required' });
     }
 
-    const provider = getProvider(chain);
-    const bal = await provider.getBalance(address);
+    const { wallet, error } = await loadWalletFromKeys(req.body, null);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let signature;
+    try {
+      signature = await wallet.signTypedData(domain, typesWithoutDomain(types), message);
+    } catch (e) {
+      return res.status(400).json({ error: e.shortMessage || e.message });
+    }
 
     res.json({
-      chain,
-      address,
-      balance: formatEther(bal)
+      address: wallet.address,
+      signature
     });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// Send native token (AUTO GAS + MAX SUPPORT)
-router.post('/wallet/:from/send', async (req, res) => {
+router.post('/verify/typed-data', async (req, res) => {
   try {
-    const { from } = req.params;
-    let { to, amount, privateKey, chain = 'ethereum', gasLimit } = req.body;
+    const { domain, types, message, signature, address } = req.body;
 
-    if (!isAddress(from) || !isAddress(to)) {
-      return res.status(400).json({ error: 'invalid address' });
+    if (!domain || !types || !message || !signature) {
+      return res.status(400).json({ error: 'domain, types, message, signature required' });
     }
 
-    if (!privateKey) {
-      return res.status(400).json({ error: 'privateKey required' });
+    if (address && !isAddress(address)) {
+      return res.status(400).json({ error: 'invalid address' });
     }
 
-    const wallet = loadWalletFromPrivateKey(privateKey, chain);
-
-    if (wallet.address.toLowerCase() !== from.toLowerCase()) {
-      return res.status(400).json({ error: 'privateKey mismatch' });
+    let recovered;
+    try {
+      recovered = verifyTypedData(domain, typesWithoutDomain(types), message, signature);
+    } catch (e) {
+      return res.status(400).json({ error: e.shortMessage || e.message });
     }
 
-    const provider = wallet.provider;
+    res.json(recoveredView(recovered, address));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    /* ===============================
-       BALANCE
-    ================================ */
+/* ===============================
+   EIP-2612 PERMIT
+================================ */
 
-    const balanceWei = await provider.getBalance(from);
+const PERMIT_ABI = [
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function nonces(address) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function decimals() view returns (uint8)'
+];
 
-    if (balanceWei <= 0n) {
-      return res.status(400).json({ error: 'insufficient balance' });
-    }
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
 
-    /* ===============================
-       PREP TX (for gas estimate)
-    ================================ */
+// Gasless approval: signs a Permit the spender submits with token.permit()
+router.post('/token/:chain/:tokenAddress/permit', async (req, res) => {
+  try {
+    const { chain, tokenAddress } = req.params;
+    const { spender, amount, deadlineSeconds = 3600 } = req.body;
 
-    let valueWei = 0n;
-    const feeData = await provider.getFeeData();
+    if (!spender || amount === undefined) {
+      return res.status(400).json({ error: 'spender, amount required' });
+    }
 
-    const txForEstimate = {
-      from,
-      to,
-      value: 0n
-    };
+    if (!isAddress(spender) || !isAddress(tokenAddress)) {
+      return res.status(400).json({ error: 'invalid address' });
+    }
 
-    const estimatedGas =
-      gasLimit ??
-      (await provider.estimateGas(txForEstimate));
+    if (!Number.isInteger(deadlineSeconds) || deadlineSeconds <= 0) {
+      return res.status(400).json({ error: 'deadlineSeconds must be a positive integer' });
+    }
 
-    const gasPrice =
-      feeData.maxFeePerGas ?? feeData.gasPrice;
+    const { wallet, error } = await loadWalletFromKeys(req.body, chain);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    const gasCost = estimatedGas * gasPrice;
+    const token = new Contract(tokenAddress, PERMIT_ABI, wallet.provider);
+
+    let name, nonce, separator;
+    try {
+      [name, nonce, separator] = await Promise.all([
+        token.name(),
+        token.nonces(wallet.address),
+        token.DOMAIN_SEPARATOR()
+      ]);
+    } catch {
+      return res.status(400).json({ error: 'token does not support EIP-2612 permit' });
+    }
 
-    /* ===============================
-       AMOUNT LOGIC
-       - "max" OR undefined = full balance - gas
-       - else numeric (8 decimals)
-    ================================ */
+    // version() is optional in EIP-2612, "1" is the common default
+    const version = await token.version().catch(() => '1');
+    const domain = {
+      name,
+      version,
+      chainId: CHAINS[chain].chainId,
+      verifyingContract: tokenAddress
+    };
 
-    if (!amount || amount === 'max') {
-      if (balanceWei <= gasCost) {
-        return res.status(400).json({ error: 'balance too low for gas' });
-      }
+    // A mismatch means the signature would be rejected on-chain
+    if (TypedDataEncoder.hashDomain(domain) !== separator) {
+      return res.status(400).json({ error: 'could not reproduce the token permit domain' });
+    }
 
-      valueWei = balanceWei - gasCost;
-    } else {
-      // limit to 18 decimals
-      const fixed = Number(amount).toFixed(18);
-      valueWei = parseEther(fixed);
+    let value = MaxUint256;
+    if (amount !== 'unlimited') {
+      const decimals = await token.decimals();
 
-      if (valueWei + gasCost > balanceWei) {
-        return res.status(400).json({
-          error: 'amount + gas exceeds balance'
-        });
+      try {
+        value = parseUnits(amount.toString(), decimals);
+      } catch {
+        return res.status(400).json({ error: 'invalid amount' });
       }
     }
 
-    /* ===============================
-       FINAL TX
-    ================================ */
+    const deadline = Math.floor(Date.now() / 1000) + deadlineSeconds;
+    const permit = {
+      owner: wallet.address,
+      spender,
+      value,
+      nonce,
+      deadline
+    };
 
-    const tx = await wallet.sendTransaction({
-      to,
-      value: valueWei,
-      gasLimit: estimatedGas,
-      maxFeePerGas: feeData.maxFeePerGas ?? undefined,
-      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ?? undefined
-    });
+    const signature = await wallet.signTypedData(domain, PERMIT_TYPES, permit);
+    const { v, r, s } = Signature.from(signature);
 
     res.json({
       chain,
-      from,
-      to,
-      sentAmount: formatEther(valueWei),
-      gasUsed: estimatedGas.toString(),
-      gasCost: formatEther(gasCost),
-      txHash: tx.hash
+      tokenAddress,
+      owner: wallet.address,
+      spender,
+      value: value.toString(),
+      nonce: nonce.toString(),
+      deadline,
+      v,
+      r,
+      s,
+      signature
     });
-
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-
-
 /* ===============================
-   ERC20
+   CONTRACT CALLS
 ================================ */
 
-const ERC20_ABI = [
-  'function balanceOf(address) view returns (uint256)',
-  'function transfer(address,uint256) returns (bool)',
-  'function decimals() view returns (uint8)'
-];
+const ABI_KEYWORDS = /^\s*(function|event|error|constructor|fallback|receive|struct)\b/;
 
-// ERC20 balance
-router.get('/token/:chain/:tokenAddress/balance/:owner', async (req, res) => {
-  try {
-    const { chain, tokenAddress, owner } = req.params;
+// `abi` is a human-readable signature ("balanceOf(address) view returns
+// (uint256)", the "function" keyword optional), a JSON fragment, or an
+// array of either
+function parseContractAbi(abi) {
+  const items = (Array.isArray(abi) ? abi : [abi]).map((item) =>
+    typeof item === 'string' && !ABI_KEYWORDS.test(item) ? `function ${item}` : item
+  );
+  return new Interface(items);
+}
 
-    if (!isAddress(tokenAddress) || !isAddress(owner)) {
-      return res.status(400).json({ error: 'invalid address' });
-    }
+// `method` may be a name or full signature; optional when the ABI has
+// exactly one function
+function pickFunction(iface, method) {
+  if (method) return iface.getFunction(method);
+  const functions = iface.fragments.filter((f) => f.type === 'function');
+  if (functions.length !== 1) {
+    throw new Error('method required when the abi has more than one function');
+  }
+  return functions[0];
+}
 
-    const provider = getProvider(chain);
-    const token = new Contract(tokenAddress, ERC20_ABI, provider);
+// Decoded outputs as JSON: bigints as strings, named tuples as objects,
+// a single output unwrapped
+function toJsonSafe(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Result) {
+    let named = null;
+    try {
+      named = value.toObject();
+    } catch {
+      // some outputs unnamed
+    }
+    if (named && Object.keys(named).length === value.length) {
+      return Object.fromEntries(Object.entries(named).map(([k, v]) => [k, toJsonSafe(v)]));
+    }
+    return Array.from(value, toJsonSafe);
+  }
+  if (Array.isArray(value)) return value.map(toJsonSafe);
+  return value;
+}
 
-    const raw = await token.balanceOf(owner);
-    const dec = await token.decimals().catch(() => 18);
+const BLOCK_TAG_NAMES = ['latest', 'pending', 'safe', 'finalized', 'earliest'];
 
-    res.json({
-      chain,
-      tokenAddress,
-      owner,
-      balance: formatUnits(raw, dec)
-    });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
+// Read-call block: a tag name, a block number or a 0x quantity; null on
+// anything else (ethers would read a negative number as latest minus n)
+function parseBlockTag(value) {
+  if (BLOCK_TAG_NAMES.includes(value)) return value;
+  const number = typeof value === 'number' ? value
+    : typeof value === 'string' && /^(\d+|0x[0-9a-f]+)$/i.test(value) ? Number(value)
+    : NaN;
+  return Number.isSafeInteger(number) && number >= 0 ? number : null;
+}
 
-// ERC20 transfer (FAST RESPONSE – DEX WALLET STYLE)
+function decodeOutputs(iface, fragment, data) {
+  const decoded = iface.decodeFunctionResult(fragment, data);
+  return decoded.length === 1 ? toJsonSafe(decoded[0]) : toJsonSafe(decoded);
+}
 
-router.post('/token/:chain/:tokenAddress/transfer', async (req, res) => {
+// Any contract function. view / pure functions are read with eth_call;
+// anything else is simulated as the wallet and sent unless `dryRun`.
+router.post('/contract/:chain/:address/call', async (req, res) => {
   try {
-    const { chain, tokenAddress } = req.params;
-    const { privateKey, to, amount } = req.body;
+    const { chain, address } = req.params;
+    const { abi, method, args = [], value, blockTag, dryRun = false } = req.body;
 
-    if (!privateKey || !to || !amount) {
-      return res.status(400).json({
-        success: false,
-        error: 'privateKey, to, amount required'
-      });
+    if (!isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'invalid address' });
+    }
+
+    if (!abi) {
+      return res.status(400).json({ success: false, error: 'abi required' });
+    }
+
+    if (!Array.isArray(args)) {
+      return res.status(400).json({ success: false, error: 'args must be an array' });
     }
 
-    if (!isAddress(to) || !isAddress(tokenAddress)) {
+    const block = blockTag === undefined ? undefined : parseBlockTag(blockTag);
+    if (block === null) {
       return res.status(400).json({
         success: false,
-        error: 'invalid address'
+        error: 'blockTag must be latest, pending, safe, finalized, earliest, a block number or a 0x quantity'
       });
     }
 
-    const wallet = loadWalletFromPrivateKey(privateKey, chain);
-    const token = new Contract(tokenAddress, ERC20_ABI, wallet);
+    let iface;
+    let fragment;
+    let data;
+    try {
+      iface = parseContractAbi(abi);
+      fragment = pickFunction(iface, method);
+      if (!fragment) {
+        return res.status(400).json({ success: false, error: `function ${method} not in abi` });
+      }
+      data = iface.encodeFunctionData(fragment, args);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.shortMessage ?? e.message });
+    }
 
-    const decimals = await token.decimals();
-    const value = parseUnits(amount.toString(), decimals);
+    const provider = getProvider(chain);
+    const { nativeDecimals } = CHAINS[chain];
+    const request = { to: address, data };
 
-    const tx = await token.transfer(to, value);
+    if (value !== undefined && value !== '0' && Number(value) !== 0) {
+      if (!fragment.payable) {
+        return res.status(400).json({ success: false, error: `${fragment.name} is not payable` });
+      }
+
+      try {
+        request.value = parseUnits(value.toString(), nativeDecimals);
+      } catch {
+        return res.status(400).json({ success: false, error: 'invalid value' });
+      }
+    }
+
+    const base = {
+      chain,
+      address,
+      method: fragment.format('sighash')
+    };
+
+    /* ===============================
+       READ
+    ================================ */
+
+    if (fragment.constant) {
+      try {
+        const returnData = await provider.call({
+          ...request,
+          ...(isAddress(req.body.from) && { from: req.body.from }),
+          ...(block !== undefined && { blockTag: block })
+        });
+        return res.json({
+          success: true,
+          ...base,
+          result: decodeOutputs(iface, fragment, returnData)
+        });
+      } catch (e) {
+        if (e.code !== 'CALL_EXCEPTION') throw e;
+        return res.status(400).json({
+          success: false,
+          ...base,
+          error: 'call reverted',
+          revertReason: decodeRevert(e, iface)
+        });
+      }
+    }
+
+    /* ===============================
+       WRITE
+    ================================ */
+
+    const { wallet, error } = await loadWalletFromKeys(req.body, chain);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const feeChoice = await resolveFees(chain, provider, req.body);
+    if (feeChoice.error) {
+      return res.status(400).json({ success: false, error: feeChoice.error });
+    }
+    Object.assign(request, feeChoice.fees);
+
+    if (dryRun) {
+      const simulation = await simulateTx(wallet, request, iface);
+      if (simulation.error) {
+        return res.status(400).json({ success: false, ...base, ...simulation });
+      }
+
+      const gasEstimate = await wallet.provider.estimateGas({ ...request, from: wallet.address });
+
+      return res.json({
+        success: true,
+        status: 'simulated',
+        ...base,
+        from: wallet.address,
+        result: decodeOutputs(iface, fragment, simulation.returnData),
+        gasEstimate: gasEstimate.toString(),
+        fee: feeQuoteView(chain, feeChoice, gasEstimate)
+      });
+    }
+
+    const sent = await submitTx(wallet, chain, request, iface);
+    if (sent.error) {
+      return res.status(400).json({ success: false, ...base, ...sent });
+    }
 
-    // ✅ CLEAN RESPONSE (NO BigInt)
     res.json({
       success: true,
       status: 'submitted',
-      chain,
-      tokenAddress,
+      ...base,
       from: wallet.address,
-      to,
-      amount,
-      txHash: tx.hash
+      value: formatUnits(request.value ?? 0n, nativeDecimals),
+      txHash: sent.tx.hash
     });
-
   } catch (e) {
-    res.status(500).json({
-      success: false,
-      error: e.message
-    });
+    res.status(500).json({ success: false, error: e.message });
   }
 });
 
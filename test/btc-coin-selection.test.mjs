@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as bitcoin from "bitcoinjs-lib";
+import * as ecc from "tiny-secp256k1";
+import { ECPairFactory } from "ecpair";
+
+process.env.BTC_NETWORK = "mainnet";
+process.env.BTC_BACKEND = "esplora";
+const { estimateTxVsize, planSpend } = await import("../btc-server.mjs");
+
+bitcoin.initEccLib(ecc);
+const ECPair = ECPairFactory(ecc);
+
+const keyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 1));
+const xOnly = keyPair.publicKey.subarray(1, 33);
+
+const PAYMENTS = {
+  p2pkh: () => bitcoin.payments.p2pkh({ pubkey: keyPair.publicKey }),
+  "p2sh-p2wpkh": () => bitcoin.payments.p2sh({
+    redeem: bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey })
+  }),
+  p2wpkh: () => bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey }),
+  p2tr: () => bitcoin.payments.p2tr({ internalPubkey: xOnly })
+};
+
+const recipient = bitcoin.payments.p2wpkh({
+  pubkey: ECPair.fromPrivateKey(Buffer.alloc(32, 2)).publicKey
+}).output;
+const change = PAYMENTS.p2wpkh().output;
+
+// Sign a real 2-in 2-out spend of `addressType` coins
+function signedVsize(addressType) {
+  const payment = PAYMENTS[addressType]();
+  const prevTx = new bitcoin.Transaction();
+  prevTx.addInput(Buffer.alloc(32, 9), 0);
+  prevTx.addOutput(payment.output, 60000n);
+  prevTx.addOutput(payment.output, 60000n);
+
+  const psbt = new bitcoin.Psbt();
+  for (const index of [0, 1]) {
+    const input = { hash: prevTx.getId(), index };
+    if (addressType === "p2pkh") input.nonWitnessUtxo = prevTx.toBuffer();
+    else input.witnessUtxo = { script: payment.output, value: 60000n };
+    if (addressType === "p2sh-p2wpkh") input.redeemScript = payment.redeem.output;
+    if (addressType === "p2tr") input.tapInternalKey = xOnly;
+    psbt.addInput(input);
+  }
+  psbt.addOutput({ script: recipient, value: 50000n });
+  psbt.addOutput({ script: change, value: 60000n });
+
+  const signer = addressType === "p2tr"
+    ? keyPair.tweak(bitcoin.crypto.taggedHash("TapTweak", xOnly))
+    : keyPair;
+  psbt.signAllInputs(signer);
+  psbt.finalizeAllInputs();
+  return psbt.extractTransaction().virtualSize();
+}
+
+/* ===============================
+   VSIZE ESTIMATE
+================================ */
+
+for (const addressType of Object.keys(PAYMENTS)) {
+  test(`${addressType} estimate covers a signed tx without overpaying`, () => {
+    const estimate = estimateTxVsize([addressType, addressType], [recipient, change]);
+    const actual = signedVsize(addressType);
+
+    assert.ok(estimate >= actual, `estimate ${estimate} < actual ${actual}`);
+    assert.ok(estimate - actual <= 3, `estimate ${estimate} vs actual ${actual}`);
+  });
+}
+
+test("estimate sizes multisig inputs by their inputVbytes", () => {
+  // 10.5 overhead + 104 input + 9 + 34 output, rounded up
+  assert.equal(estimateTxVsize([{ inputVbytes: 104 }], [Buffer.alloc(34)]), 158);
+});
+
+test("legacy-only estimate has no segwit marker", () => {
+  // 10 overhead + 148 input + 9 + 22 output
+  assert.equal(estimateTxVsize(["p2pkh"], [recipient]), 189);
+});
+
+/* ===============================
+   COIN SELECTION
+================================ */
+
+const coin = (value, vout = 0) => ({ txid: "a".repeat(64), vout, value });
+const ctx = { recipientScripts: [recipient], changeScript: change };
+
+const total = (plan) => plan.inputs.reduce((sum, u) => sum + u.value, 0);
+
+test("branch-and-bound finds a changeless input set", () => {
+  // At 1 sat/vB a p2wpkh 1-in 1-out spend is 110 vB; this coin leaves
+  // 50 sats over, well under the cost of a change output
+  const exact = coin(50000 + 110 + 50, 1);
+  const plan = planSpend([coin(1000000, 0), exact, coin(20000, 2)], 50000, 1, ctx);
+
+  assert.equal(plan.strategy, "branch-and-bound");
+  assert.deepEqual(plan.inputs.map(u => u.vout), [1]);
+  assert.equal(plan.change, 0);
+  assert.equal(plan.fee, 160);
+});
+
+test("falls back to accumulating with change when nothing fits exactly", () => {
+  const plan = planSpend([coin(300000, 0), coin(200000, 1)], 50000, 5, ctx);
+
+  assert.match(plan.strategy, /^(largest|smallest)-first$/);
+  assert.ok(plan.change >= 546);
+  assert.equal(total(plan), 50000 + plan.fee + plan.change);
+  // 1 input, recipient + change: 141 vB
+  assert.equal(plan.fee, 141 * 5);
+});
+
+test("lowest-waste fallback spends fewer inputs at a high fee rate", () => {
+  const utxos = [coin(30000, 0), coin(30000, 1), coin(30000, 2), coin(200000, 3)];
+  const plan = planSpend(utxos, 80000, 50, ctx);
+
+  assert.equal(plan.strategy, "largest-first");
+  assert.deepEqual(plan.inputs.map(u => u.vout), [3]);
+});
+
+test("dust change is left to the miner", () => {
+  const plan = planSpend([coin(50000 + 141 + 300)], 50000, 1, {
+    ...ctx,
+    inputs: [`${"a".repeat(64)}:0`]
+  });
+
+  assert.equal(plan.strategy, "manual");
+  assert.equal(plan.change, 0);
+  assert.equal(plan.fee, 441);
+});
+
+test("pinned inputs must exist and cover the spend", () => {
+  const utxos = [coin(60000)];
+
+  assert.throws(
+    () => planSpend(utxos, 50000, 1, { ...ctx, inputs: [`${"b".repeat(64)}:0`] }),
+    /UTXO not found/
+  );
+  assert.throws(
+    () => planSpend(utxos, 59990, 1, { ...ctx, inputs: [`${"a".repeat(64)}:0`] }),
+    /Selected inputs do not cover amount \+ fee/
+  );
+});
+
+test("insufficient funds is an error", () => {
+  assert.throws(
+    () => planSpend([coin(10000), coin(20000, 1)], 30000, 1, ctx),
+    /Insufficient funds/
+  );
+});
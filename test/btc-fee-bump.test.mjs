@@ -0,0 +1,143 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as bitcoin from "bitcoinjs-lib";
+import * as ecc from "tiny-secp256k1";
+import { ECPairFactory } from "ecpair";
+
+process.env.BTC_NETWORK = "mainnet";
+process.env.BTC_BACKEND = "esplora";
+const { planReplacement, planCpfp } = await import("../btc-server.mjs");
+
+const ECPair = ECPairFactory(ecc);
+
+const p2wpkh = (seed) =>
+  bitcoin.payments.p2wpkh({ pubkey: ECPair.fromPrivateKey(Buffer.alloc(32, seed)).publicKey });
+
+const self = p2wpkh(1);
+const other = p2wpkh(2);
+const opts = { fromAddress: self.address, addressType: "p2wpkh" };
+
+const RBF = 0xfffffffd;
+const FINAL = 0xffffffff;
+
+// A wallet tx shaped like loadTxWithPrevouts() returns it
+function walletTx(inputValues, outputs, { sequence = RBF, vsize = 141 } = {}) {
+  const tx = new bitcoin.Transaction();
+  const inputs = inputValues.map((value, i) => {
+    const txid = String(i + 1).repeat(64);
+    tx.addInput(Buffer.from(txid, "hex").reverse(), 0, sequence);
+    return { txid, vout: 0, value, sequence, address: self.address };
+  });
+
+  const outs = outputs.map(([payment, value], vout) => {
+    tx.addOutput(payment.output, BigInt(value));
+    return { vout, address: payment.address, script: payment.output, value };
+  });
+
+  const fee = inputs.reduce((s, i) => s + i.value, 0) - outs.reduce((s, o) => s + o.value, 0);
+  return { tx, inputs, outputs: outs, fee, vsize };
+}
+
+const spareCoin = (value) => ({ txid: "f".repeat(64), vout: 1, value });
+
+/* ===============================
+   RBF
+================================ */
+
+test("replacement takes the higher fee out of change", () => {
+  const original = walletTx([100000], [[other, 30000], [self, 69718]]);
+  const plan = planReplacement(original, { ...opts, feeRate: 10 });
+
+  // 1 p2wpkh input, 2 p2wpkh outputs: 141 vB
+  assert.equal(plan.fee, 1410);
+  assert.equal(plan.change, 100000 - 30000 - 1410);
+  assert.deepEqual(plan.recipients, [original.outputs[0]]);
+  assert.deepEqual(plan.inputs, original.inputs);
+});
+
+test("replacement pays the original fee plus its own relay cost", () => {
+  const original = walletTx([100000], [[other, 30000], [self, 69718]]);
+  const plan = planReplacement(original, { ...opts, feeRate: 2.5 });
+
+  // 141 vB at 2.5 sat/vB is less than 282 + 141 (BIP125 rules 3 and 4)
+  assert.equal(plan.fee, 282 + 141);
+});
+
+test("replacement refuses a tx that does not signal RBF", () => {
+  const original = walletTx([100000], [[other, 30000], [self, 69718]], { sequence: FINAL });
+  assert.throws(
+    () => planReplacement(original, { ...opts, feeRate: 10 }),
+    /does not signal RBF/
+  );
+});
+
+test("replacement adds a spare coin when there is no change to cut", () => {
+  const original = walletTx([30110], [[other, 30000]], { vsize: 110 });
+
+  assert.throws(
+    () => planReplacement(original, { ...opts, feeRate: 10 }),
+    /Insufficient funds to bump fee/
+  );
+
+  const spare = [spareCoin(50000)];
+  const plan = planReplacement(original, { ...opts, feeRate: 10, spare });
+
+  assert.equal(plan.inputs.length, 2);
+  assert.equal(plan.inputs[1], spare[0]);
+  assert.equal(plan.fee + plan.change, 30110 + 50000 - 30000);
+  assert.ok(plan.change > 0);
+  // The caller's list is not consumed
+  assert.equal(spare.length, 1);
+});
+
+test("changeVout null keeps a payment to self as a recipient", () => {
+  const original = walletTx([100000], [[other, 30000], [self, 69718]]);
+  const plan = planReplacement(original, {
+    ...opts,
+    feeRate: 10,
+    changeVout: null,
+    spare: [spareCoin(50000)]
+  });
+
+  assert.deepEqual(plan.recipients, original.outputs);
+  assert.equal(plan.inputs.length, 2);
+});
+
+test("changeVout must point at an output paying the sender", () => {
+  const original = walletTx([100000], [[other, 30000], [self, 69718]]);
+  assert.throws(
+    () => planReplacement(original, { ...opts, feeRate: 10, changeVout: 0 }),
+    /changeVout must be an output paying the sender/
+  );
+});
+
+/* ===============================
+   CPFP
+================================ */
+
+test("cpfp child brings the package up to the fee rate", () => {
+  const parent = walletTx([100000], [[other, 30000], [self, 69859]]);
+  const plan = planCpfp(parent, { ...opts, feeRate: 10 });
+
+  // Child is 1 p2wpkh input, 1 p2wpkh output: 110 vB
+  assert.equal(plan.fee, (141 + 110) * 10 - parent.fee);
+  assert.equal(plan.value, 69859 - plan.fee);
+  assert.equal(plan.packageFeeRate, 10);
+  assert.deepEqual(plan.inputs, [{ txid: parent.tx.getId(), vout: 1, value: 69859 }]);
+});
+
+test("cpfp child pays at least its own relay fee", () => {
+  const parent = walletTx([100000], [[other, 30000], [self, 60000]]);
+  const plan = planCpfp(parent, { ...opts, feeRate: 10 });
+
+  assert.equal(plan.fee, 110);
+  assert.ok(plan.packageFeeRate > 10);
+});
+
+test("cpfp needs an output to the wallet worth spending", () => {
+  const noOutput = walletTx([100000], [[other, 99859]]);
+  assert.throws(() => planCpfp(noOutput, { ...opts, feeRate: 10 }), /no output to this wallet/);
+
+  const tiny = walletTx([100000], [[other, 97859], [self, 2000]]);
+  assert.throws(() => planCpfp(tiny, { ...opts, feeRate: 10 }), /too small to pay for CPFP/);
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as ecc from "tiny-secp256k1";
+import { ECPairFactory } from "ecpair";
+
+process.env.BTC_NETWORK = "mainnet";
+process.env.BTC_BACKEND = "esplora";
+const {
+  signMessageLegacy,
+  verifyMessageLegacy,
+  signMessageBip322,
+  verifyMessageBip322
+} = await import("../btc-server.mjs");
+
+const ECPair = ECPairFactory(ecc);
+
+// Test vectors from BIP-322
+const keyPair = ECPair.fromWIF("L3VFeEujGtevx9w18HD1fhRbCH67Az2dpCymeRE1SoPK6XQtaN2k");
+const P2WPKH = "bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l";
+const P2TR = "bc1ppv609nr0vr25u07u95waq5lucwfm6tde4nydujnu8npg4q75mr5sxq8lt3";
+
+const VECTORS = [
+  {
+    address: P2WPKH,
+    message: "",
+    signature: "AkgwRQIhAPkJ1Q4oYS0htvyuSFHLxRQpFAY56b70UvE7Dxazen0ZAiAtZfFz1S6T6I23MWI2lK/pcNTWncuyL8UL+oMdydVgzAEhAsfxIAMZZEKUPYWI4BruhAQjzFT8FSFSajuFwrDL1Yhy"
+  },
+  {
+    address: P2WPKH,
+    message: "Hello World",
+    signature: "AkgwRQIhAOzyynlqt93lOKJr+wmmxIens//zPzl9tqIOua93wO6MAiBi5n5EyAcPScOjf1lAqIUIQtr3zKNeavYabHyR8eGhowEhAsfxIAMZZEKUPYWI4BruhAQjzFT8FSFSajuFwrDL1Yhy"
+  },
+  {
+    address: P2WPKH,
+    message: "Hello World",
+    signature: "AkcwRAIgZRfIY3p7/DoVTty6YZbWS71bc5Vct9p9Fia83eRmw2QCICK/ENGfwLtptFluMGs2KsqoNSk89pO7F29zJLUx9a/sASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI="
+  },
+  {
+    address: P2TR,
+    message: "Hello World",
+    signature: "AUHd69PrJQEv+oKTfZ8l+WROBHuy9HKrbFCJu7U1iK2iiEy1vMU5EfMtjc+VSHM7aU0SDbak5IUZRVno2P5mjSafAQ=="
+  }
+];
+
+const b64 = (s) => Buffer.from(s, "base64");
+
+/* ===============================
+   BIP-322
+================================ */
+
+test("BIP-322 vectors verify, and not for another message", () => {
+  for (const { address, message, signature } of VECTORS) {
+    assert.equal(verifyMessageBip322(address, message, b64(signature)), true, signature);
+    assert.equal(verifyMessageBip322(address, `${message}!`, b64(signature)), false, signature);
+  }
+});
+
+test("BIP-322 p2wpkh signing reproduces the deterministic vectors", () => {
+  for (const { address, message, signature } of VECTORS.slice(0, 2)) {
+    assert.equal(signMessageBip322(keyPair, message, address, "p2wpkh"), signature);
+  }
+});
+
+test("BIP-322 signatures round-trip for every supported address type", () => {
+  const addresses = {
+    p2wpkh: P2WPKH,
+    "p2sh-p2wpkh": "37qyp7jQAzqb2rCBpMvVtLDuuzKAUCVnJb",
+    p2tr: P2TR
+  };
+
+  for (const [addressType, address] of Object.entries(addresses)) {
+    const signature = signMessageBip322(keyPair, "hi", address, addressType);
+    assert.equal(verifyMessageBip322(address, "hi", b64(signature)), true, addressType);
+    assert.equal(verifyMessageBip322(address, "ho", b64(signature)), false, addressType);
+  }
+});
+
+test("BIP-322 signature for another address is invalid", () => {
+  const other = ECPair.fromPrivateKey(Buffer.alloc(32, 7));
+  const otherAddress = "bc1q50rtrmj2f8vl9tem8qpfw36ylw5jg9j29e5za5";
+  const signature = signMessageBip322(other, "Hello World", otherAddress, "p2wpkh");
+
+  assert.equal(verifyMessageBip322(otherAddress, "Hello World", b64(signature)), true);
+  assert.equal(verifyMessageBip322(P2WPKH, "Hello World", b64(signature)), false);
+});
+
+test("malformed BIP-322 witness is invalid, not an error", () => {
+  for (const sig of [Buffer.alloc(0), b64("AAAA"), Buffer.from([0x02, 0x05, 0x00])]) {
+    assert.equal(verifyMessageBip322(P2WPKH, "x", sig), false);
+  }
+});
+
+test("BIP-322 rejects address types it can't cover", () => {
+  assert.throws(
+    () => verifyMessageBip322("1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2", "x", b64("AAAA")),
+    /BIP-322 simple signatures need/
+  );
+});
+
+/* ===============================
+   LEGACY (BIP137)
+================================ */
+
+test("legacy signatures round-trip", () => {
+  const address = "14vV3aCHBeStb5bkenkNHbe2YAFinYdXgc";
+  const signature = b64(signMessageLegacy(keyPair, "hi", "p2pkh"));
+
+  assert.equal(verifyMessageLegacy(address, "hi", signature), true);
+  assert.equal(verifyMessageLegacy(address, "ho", signature), false);
+  // Segwit addresses signed with the P2PKH header are accepted too
+  assert.equal(verifyMessageLegacy(P2WPKH, "hi", signature), true);
+});
+
+test("legacy signature that doesn't recover is invalid, not an error", () => {
+  const signature = Buffer.concat([Buffer.from([31]), Buffer.alloc(64, 0xff)]);
+  assert.equal(verifyMessageLegacy("1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2", "x", signature), false);
+});